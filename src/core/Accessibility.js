@@ -0,0 +1,209 @@
+define(function(require, exports, module) {
+  var DOMBuffer = require('./DOMBuffer');
+  var OptionsManager = require('./OptionsManager');
+
+  /**
+   * Singleton that makes the absolutely positioned output of the render tree understandable for assistive
+   *   technology.
+   *
+   *   Reading order: the order of the elements in the DOM follows the reuse order of the ElementAllocator, not the
+   *   layout. When the readingOrder option is enabled, every frame the committed positions of the visible elements
+   *   are collected per container, sorted in rows from top to bottom and within a row from left to right (or right
+   *   to left), and the result is written to the aria-owns attribute of the container. Screen readers follow that
+   *   order, while the DOM and thereby the stacking of the elements stay untouched.
+   *
+   *   Live regions: announce() reads a message through a visually hidden live region, for changes that aren't
+   *   visible in the content of a surface. Surfaces can be made a live region themselves through
+   *   Surface.setLiveRegion.
+   *
+   * @static
+   * @class Accessibility
+   */
+  var Accessibility = {};
+
+  Accessibility.DEFAULT_OPTIONS = {
+    /* Whether to expose the visual order of the elements through aria-owns */
+    readingOrder: false,
+    /* Elements whose top is within this amount of pixels are considered to be on the same row */
+    rowTolerance: 8,
+    /* Whether rows are read from right to left */
+    rightToLeft: false
+  };
+
+  var options = Object.create(Accessibility.DEFAULT_OPTIONS);
+  var optionsManager = new OptionsManager(options);
+
+  /* Positions reported during the current frame, per container */
+  var reportedContainers = new Map();
+  /* Per engine, the aria-owns that was last written to each of its containers that still have visible elements */
+  var writtenOrders = new Map();
+  /* Generated ids of the elements without an id */
+  var elementIds = new WeakMap();
+  var idCounter = 0;
+
+  var liveRegions = {};
+
+  /* Disabling the reading order restores the order of the DOM */
+  optionsManager.on('change', function(event) {
+    if (event.id !== 'readingOrder' || event.value) return;
+    writtenOrders.forEach(_removeOrders);
+    writtenOrders.clear();
+    reportedContainers.clear();
+  });
+
+  function _removeOrders(orders) {
+    orders.forEach(function(order, container) {
+      DOMBuffer.removeAttribute(container, 'aria-owns');
+    });
+  }
+
+  /**
+   * Set the options of the accessibility layer.
+   *
+   * @static
+   * @method setOptions
+   * @param {Object} [newOptions]
+   * @param {Boolean} [newOptions.readingOrder=false] whether to expose the visual order through aria-owns
+   * @param {Number} [newOptions.rowTolerance=8] pixels within which elements are considered to be on one row
+   * @param {Boolean} [newOptions.rightToLeft=false] whether rows are read from right to left
+   */
+  Accessibility.setOptions = function setOptions(newOptions) {
+    return optionsManager.setOptions(newOptions);
+  };
+
+  /**
+   * @static
+   * @method getOptions
+   * @return {Object} the options of the accessibility layer
+   */
+  Accessibility.getOptions = function getOptions() {
+    return optionsManager.get();
+  };
+
+  /**
+   * @static
+   * @method isTrackingReadingOrder
+   * @return {Boolean} whether elements should report their positions
+   */
+  Accessibility.isTrackingReadingOrder = function isTrackingReadingOrder() {
+    return options.readingOrder;
+  };
+
+  /**
+   * Reports the committed position of a visible element. Called by ElementOutput during the commit.
+   *
+   * @static
+   * @private
+   * @method reportPosition
+   * @param {Node} container the element that the element is allocated in
+   * @param {Node} element the committed element
+   * @param {Number} x left of the element within the container
+   * @param {Number} y top of the element within the container
+   */
+  Accessibility.reportPosition = function reportPosition(container, element, x, y) {
+    var entries = reportedContainers.get(container);
+    if (!entries) {
+      entries = [];
+      reportedContainers.set(container, entries);
+    }
+    entries.push({element: element, x: x, y: y, index: entries.length});
+  };
+
+  function _getElementId(element) {
+    if (element.id) return element.id;
+    var id = elementIds.get(element);
+    if (!id) {
+      id = 'famous-a11y-' + (++idCounter);
+      elementIds.set(element, id);
+      DOMBuffer.setAttribute(element, 'id', id);
+    }
+    return id;
+  }
+
+  function _compareEntries(a, b) {
+    if (Math.abs(a.y - b.y) > options.rowTolerance) return a.y - b.y;
+    if (a.x !== b.x) return options.rightToLeft ? b.x - a.x : a.x - b.x;
+    return a.index - b.index;
+  }
+
+  /**
+   * Writes the reading order of the positions reported since the last call to the containers, if it changed.
+   *   Containers of the engine without any reported position (e.g. because they were removed) lose their
+   *   aria-owns, so that they aren't referenced any longer. Called by every Engine after updating its contexts,
+   *   so the positions reported since the last call are those of that engine.
+   *
+   * @static
+   * @private
+   * @method commitReadingOrder
+   * @param {Object} engine the engine whose contexts reported the positions
+   */
+  Accessibility.commitReadingOrder = function commitReadingOrder(engine) {
+    var orders = writtenOrders.get(engine);
+    if (!orders) {
+      orders = new Map();
+      writtenOrders.set(engine, orders);
+    }
+    reportedContainers.forEach(function(entries, container) {
+      entries.sort(_compareEntries);
+      var ids = [];
+      for (var i = 0; i < entries.length; i++) ids.push(_getElementId(entries[i].element));
+      var order = ids.join(' ');
+      if (orders.get(container) === order) return;
+      orders.set(container, order);
+      DOMBuffer.setAttribute(container, 'aria-owns', order);
+    });
+    orders.forEach(function(order, container) {
+      if (reportedContainers.has(container)) return;
+      orders.delete(container);
+      DOMBuffer.removeAttribute(container, 'aria-owns');
+    });
+    reportedContainers.clear();
+  };
+
+  /**
+   * Removes the reading order that was written to the containers of an engine. Called when the Engine is
+   *   destroyed.
+   *
+   * @static
+   * @private
+   * @method releaseReadingOrder
+   * @param {Object} engine
+   */
+  Accessibility.releaseReadingOrder = function releaseReadingOrder(engine) {
+    var orders = writtenOrders.get(engine);
+    if (!orders) return;
+    _removeOrders(orders);
+    writtenOrders.delete(engine);
+  };
+
+  function _getLiveRegion(politeness) {
+    if (liveRegions[politeness]) return liveRegions[politeness];
+    var region = document.createElement('div');
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    region.className = 'famous-live-region';
+    /* Visually hidden, but still read by screen readers */
+    region.style.cssText = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; ' +
+      'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;';
+    document.body.appendChild(region);
+    liveRegions[politeness] = region;
+    return region;
+  }
+
+  /**
+   * Reads a message to users of assistive technology, through a visually hidden live region.
+   *
+   * @static
+   * @method announce
+   * @param {String} message text to read
+   * @param {String} [politeness='polite'] 'polite' to wait until the user is idle, 'assertive' to interrupt
+   */
+  Accessibility.announce = function announce(message, politeness) {
+    var region = _getLiveRegion(politeness || 'polite');
+    /* Clear first, so that repeating the same message is announced again */
+    DOMBuffer.assignProperty(region, 'textContent', '');
+    DOMBuffer.appendChild(region, document.createTextNode(message));
+  };
+
+  module.exports = Accessibility;
+});
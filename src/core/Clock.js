@@ -0,0 +1,150 @@
+define(function(require, exports, module) {
+
+  /**
+   * Singleton time source shared by the Engine, Transitionables, Timer and the physics engine.
+   * By default it reads the high resolution timer of the browser (falling back to Date.now). A different
+   * time source can be swapped in, or the clock can be switched to virtual time, in which case time
+   * only moves forward when advance() is called. This makes animations deterministic, e.g. when running
+   * in Node or jsdom.
+   *
+   * The clock can also be paused, e.g. while the page is hidden. When resuming, the paused time can be
+   * compensated for, so that everything reading the clock continues where it stopped.
+   *
+   * @static
+   * @class Clock
+   */
+  var Clock = {};
+
+  var defaultTimeSource = (typeof window !== 'undefined' && window.performance && window.performance.now) ?
+    function() {
+      return window.performance.now();
+    }
+    : function() {
+      return Date.now();
+    };
+
+  var timeSource = defaultTimeSource;
+
+  /* The current time when running in virtual time, undefined otherwise */
+  var virtualTime;
+
+  /* The time at which the clock was paused, undefined when running */
+  var pausedAt;
+
+  /* The total amount of paused time that was compensated for */
+  var compensatedTime = 0;
+
+  /**
+   * Returns the current time in milliseconds.
+   *
+   * @static
+   * @method now
+   * @return {Number} current time
+   */
+  Clock.now = function now() {
+    if (virtualTime !== undefined) return virtualTime;
+    if (pausedAt !== undefined) return pausedAt;
+    return timeSource() - compensatedTime;
+  };
+
+  /**
+   * Replaces the function that is used to read the current time. Passing nothing restores the default.
+   *
+   * @static
+   * @method setTimeSource
+   * @param {Function} [source] function returning the current time in milliseconds
+   */
+  Clock.setTimeSource = function setTimeSource(source) {
+    virtualTime = undefined;
+    pausedAt = undefined;
+    compensatedTime = 0;
+    timeSource = source || defaultTimeSource;
+  };
+
+  /**
+   * Switches to virtual time. From now on, time only changes through advance().
+   *
+   * @static
+   * @method useVirtualTime
+   * @param {Number} [startTime] the time to start at. Defaults to the current time.
+   */
+  Clock.useVirtualTime = function useVirtualTime(startTime) {
+    virtualTime = startTime !== undefined ? startTime : Clock.now();
+  };
+
+  /**
+   * Switches back to the time source after a call to useVirtualTime().
+   *
+   * @static
+   * @method useRealTime
+   */
+  Clock.useRealTime = function useRealTime() {
+    virtualTime = undefined;
+  };
+
+  /**
+   * Whether the clock currently runs in virtual time.
+   *
+   * @static
+   * @method isVirtual
+   * @return {Boolean}
+   */
+  Clock.isVirtual = function isVirtual() {
+    return virtualTime !== undefined;
+  };
+
+  /**
+   * Moves the virtual time forward.
+   *
+   * @static
+   * @method advance
+   * @param {Number} milliseconds amount of time to move forward
+   * @return {Number} the new current time
+   */
+  Clock.advance = function advance(milliseconds) {
+    if (virtualTime === undefined) {
+      throw new Error('The clock can only be advanced in virtual time. Call Clock.useVirtualTime() first.');
+    }
+    virtualTime += milliseconds;
+    return virtualTime;
+  };
+
+  /**
+   * Freezes the clock at the current time. Has no effect in virtual time.
+   *
+   * @static
+   * @method pause
+   */
+  Clock.pause = function pause() {
+    if (virtualTime !== undefined || pausedAt !== undefined) return;
+    pausedAt = Clock.now();
+  };
+
+  /**
+   * Lets the clock run again after a call to pause().
+   *
+   * @static
+   * @method resume
+   * @param {Boolean} compensate If true, the clock continues at the time it was paused at. If false, the
+   * clock jumps ahead by the time that it was paused.
+   * @return {Number} the amount of time the clock was paused
+   */
+  Clock.resume = function resume(compensate) {
+    if (pausedAt === undefined) return 0;
+    var pausedTime = timeSource() - compensatedTime - pausedAt;
+    if (compensate) compensatedTime += pausedTime;
+    pausedAt = undefined;
+    return pausedTime;
+  };
+
+  /**
+   * @static
+   * @method isPaused
+   * @return {Boolean} whether the clock is paused
+   */
+  Clock.isPaused = function isPaused() {
+    return pausedAt !== undefined;
+  };
+
+  module.exports = Clock;
+});
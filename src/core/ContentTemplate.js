@@ -0,0 +1,229 @@
+define(function(require, exports, module) {
+  var DOMBuffer = require('./DOMBuffer');
+
+  var expressionPattern = /\{\{\s*([\w$.]+)\s*\}\}/g;
+
+  /* Parsed templates by their source, so that e.g. list rows sharing a template only parse it once */
+  var templateCache = {};
+
+  /**
+   * A parsed HTML template with {{expressions}} in text and attribute values, e.g.
+   *   '<span class="{{status}}">{{user.name}}</span>'. An expression is a (dotted) path into a model object.
+   *   Instances of the template bind its nodes to a model, so that a change of the model only patches the text
+   *   and attribute nodes that depend on it, instead of rewriting the whole content.
+   *
+   *   Values are always inserted as text, so they can't inject markup.
+   *
+   * @class ContentTemplate
+   * @constructor
+   * @private
+   * @param {String} source HTML of the template
+   */
+  function ContentTemplate(source) {
+    this.source = source;
+    this._root = document.createElement('div');
+    this._root.innerHTML = source;
+    this._bindings = [];
+    _parseNode.call(this, this._root, []);
+  }
+
+  /**
+   * Returns the parsed template for a source, parsing it only the first time.
+   *
+   * @static
+   * @method get
+   * @param {String} source HTML of the template
+   * @return {ContentTemplate} the parsed template
+   */
+  ContentTemplate.get = function get(source) {
+    if (!templateCache[source]) templateCache[source] = new ContentTemplate(source);
+    return templateCache[source];
+  };
+
+  // Splits a string in static parts and expressions. Returns null if the string has no expressions.
+  function _parseParts(text) {
+    if (text.indexOf('{{') < 0) return null;
+    var parts = [];
+    var keys = [];
+    var lastIndex = 0;
+    var match;
+    expressionPattern.lastIndex = 0;
+    while ((match = expressionPattern.exec(text))) {
+      if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+      var path = match[1].split('.');
+      parts.push({path: path});
+      if (keys.indexOf(path[0]) < 0) keys.push(path[0]);
+      lastIndex = expressionPattern.lastIndex;
+    }
+    if (!keys.length) return null;
+    if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+    return {parts: parts, keys: keys};
+  }
+
+  // Finds the bindings in a node and its descendants. The path is the list of child indices leading to the node.
+  function _parseNode(node, path) {
+    var parsed;
+    if (node.nodeType === Node.TEXT_NODE) {
+      parsed = _parseParts(node.nodeValue);
+      if (parsed) {
+        this._bindings.push({path: path, attribute: null, parts: parsed.parts, keys: parsed.keys});
+        node.nodeValue = '';
+      }
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node !== this._root) {
+      for (var i = 0; i < node.attributes.length; i++) {
+        parsed = _parseParts(node.attributes[i].value);
+        if (parsed) {
+          this._bindings.push({path: path, attribute: node.attributes[i].name, parts: parsed.parts, keys: parsed.keys});
+        }
+      }
+    }
+    for (var j = 0; j < node.childNodes.length; j++) {
+      _parseNode.call(this, node.childNodes[j], path.concat(j));
+    }
+  }
+
+  function _resolveNode(root, path) {
+    var node = root;
+    for (var i = 0; i < path.length; i++) node = node.childNodes[path[i]];
+    return node;
+  }
+
+  /**
+   * Creates a new copy of the nodes of the template, bound to a model.
+   *
+   * @method instantiate
+   * @param {Object} [model] values for the expressions
+   * @return {BoundContent} the bound copy
+   */
+  ContentTemplate.prototype.instantiate = function instantiate(model) {
+    var root = this._root.cloneNode(true);
+    var bindings = [];
+    for (var i = 0; i < this._bindings.length; i++) {
+      var binding = this._bindings[i];
+      bindings.push({
+        node: _resolveNode(root, binding.path),
+        attribute: binding.attribute,
+        parts: binding.parts,
+        keys: binding.keys,
+        value: undefined
+      });
+    }
+    return new BoundContent(this, root, bindings, model);
+  };
+
+  /**
+   * The nodes of an instantiated ContentTemplate, bound to a model.
+   *
+   * @class BoundContent
+   * @constructor
+   * @private
+   */
+  function BoundContent(template, root, bindings, model) {
+    this.template = template;
+    this._nodes = Array.prototype.slice.call(root.childNodes);
+    this._bindings = bindings;
+    this._model = model || {};
+    this._allDirty = true;
+    this._dirtyKeys = {};
+  }
+
+  function _getValue(model, path) {
+    var value = model;
+    for (var i = 0; i < path.length && value !== null && value !== undefined; i++) value = value[path[i]];
+    return (value === null || value === undefined) ? '' : String(value);
+  }
+
+  function _evaluate(binding, model) {
+    var result = '';
+    for (var i = 0; i < binding.parts.length; i++) {
+      var part = binding.parts[i];
+      result += (typeof part === 'string') ? part : _getValue(model, part.path);
+    }
+    return result;
+  }
+
+  /**
+   * @method getNodes
+   * @return {Array.Node} the top level nodes of the content
+   */
+  BoundContent.prototype.getNodes = function getNodes() {
+    return this._nodes;
+  };
+
+  /**
+   * @method getModel
+   * @return {Object} the model that the content is bound to
+   */
+  BoundContent.prototype.getModel = function getModel() {
+    return this._model;
+  };
+
+  /**
+   * Replaces the model. All bindings are evaluated again on the next patch.
+   *
+   * @method setModel
+   * @param {Object} model
+   */
+  BoundContent.prototype.setModel = function setModel(model) {
+    this._model = model || {};
+    this._allDirty = true;
+  };
+
+  /**
+   * Merges changes into the model. Only the bindings that depend on the changed keys are evaluated again.
+   *
+   * @method updateModel
+   * @param {Object} changes dictionary of top level key => value
+   */
+  BoundContent.prototype.updateModel = function updateModel(changes) {
+    for (var key in changes) {
+      this._model[key] = changes[key];
+      this._dirtyKeys[key] = true;
+    }
+  };
+
+  /**
+   * @method isDirty
+   * @return {Boolean} whether the model changed since the last patch
+   */
+  BoundContent.prototype.isDirty = function isDirty() {
+    if (this._allDirty) return true;
+    for (var key in this._dirtyKeys) return true;
+    return false;
+  };
+
+  function _dependsOn(binding, dirtyKeys) {
+    for (var i = 0; i < binding.keys.length; i++) {
+      if (dirtyKeys[binding.keys[i]]) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Writes the values of the bindings that changed to their text or attribute nodes through the DOMBuffer.
+   *
+   * @method patch
+   * @return {Boolean} whether any node was written
+   */
+  BoundContent.prototype.patch = function patch() {
+    var written = false;
+    for (var i = 0; i < this._bindings.length; i++) {
+      var binding = this._bindings[i];
+      if (!this._allDirty && !_dependsOn(binding, this._dirtyKeys)) continue;
+      var value = _evaluate(binding, this._model);
+      if (value === binding.value) continue;
+      binding.value = value;
+      written = true;
+      if (binding.attribute) DOMBuffer.setAttribute(binding.node, binding.attribute, value);
+      else DOMBuffer.assignProperty(binding.node, 'nodeValue', value);
+    }
+    this._allDirty = false;
+    this._dirtyKeys = {};
+    return written;
+  };
+
+  module.exports = ContentTemplate;
+});
@@ -9,6 +9,7 @@
 
 define(function (require, exports, module) {
   var RenderNode = require('./RenderNode');
+  var Entity = require('./Entity');
   var EventHandler = require('./EventHandler');
   var ElementAllocator = require('./ElementAllocator');
   var Transform = require('./Transform');
@@ -50,6 +51,7 @@ define(function (require, exports, module) {
 
     this._perspectiveState = new Transitionable(0);
     this._perspective = undefined;
+    this._renderer = null;
 
     this._nodeContext = {
       transform: Transform.identity,
@@ -96,6 +98,19 @@ define(function (require, exports, module) {
     this._node.cleanup(allocator);
   };
 
+  /**
+   * Returns the renderables that were committed by the last update, e.g. to find the surfaces within a container.
+   *
+   * @method getCommittedRenderables
+   * @return {Array.Object} the committed renderables, e.g. surfaces
+   */
+  Context.prototype.getCommittedRenderables = function getCommittedRenderables() {
+    var ids = this._node.getCommittedIds();
+    var result = [];
+    for (var i = 0; i < ids.length; i++) result.push(Entity.get(ids[i]));
+    return result;
+  };
+
   /**
    * Gets viewport size for Context.
    *
@@ -132,6 +147,27 @@ define(function (require, exports, module) {
     this._nodeContext.allocator = elementAllocator;
   };
 
+  /**
+   * Sets the renderer that applies the committed opacity, origin and transform of the renderables in this
+   *   context, e.g. a MemoryRenderer in tests. Nested contexts (of groups and container surfaces) use the
+   *   renderer of their parent. The views and modifiers in the render tree are not affected.
+   *
+   * @method setRenderer
+   * @param {Object} [renderer] object implementing the methods of DOMRenderer. Defaults to DOMRenderer.
+   */
+  Context.prototype.setRenderer = function setRenderer(renderer) {
+    this._renderer = renderer || null;
+    this._nodeContext.renderer = this._renderer;
+  };
+
+  /**
+   * @method getRenderer
+   * @return {Object} the renderer set through setRenderer, or null for the default
+   */
+  Context.prototype.getRenderer = function getRenderer() {
+    return this._renderer;
+  };
+
   /**
    * Commit this Context's content changes to the document.
    *
@@ -148,6 +184,8 @@ define(function (require, exports, module) {
       if (contextParameters.size) this._nodeContext.size = contextParameters.size;
       if (contextParameters.size) this._nodeContext.size = contextParameters.size;
       this._nodeContext.hide = contextParameters.hide;
+      this._nodeContext.renderer = contextParameters.renderer || this._renderer;
+      this._nodeContext.offset = contextParameters.offset;
       if (contextParameters.allocator) {
         this._nodeContext.allocator = contextParameters.allocator;
       } else {
@@ -0,0 +1,63 @@
+define(function(require, exports, module) {
+
+  /**
+   * The default backend of the DOMBuffer, executing the buffered operations on the actual DOM.
+   * Other backends (e.g. RecordingDOMBackend) implement the same methods.
+   *
+   * @static
+   * @private
+   * @class DOMBackend
+   */
+  var DOMBackend = {};
+
+  DOMBackend.appendChild = function(parent, childToAppend) {
+    parent.appendChild(childToAppend);
+  };
+
+  DOMBackend.insertBefore = function(parent, childBefore, childToInsert) {
+    parent.insertBefore(childBefore, childToInsert);
+  };
+
+  DOMBackend.setAttribute = function(element, attribute, value) {
+    element.setAttribute(attribute, value);
+  };
+
+  DOMBackend.removeChild = function(parent, childToRemove) {
+    if (parent.childNodes.length && parent.contains(childToRemove)) {
+      parent.removeChild(childToRemove);
+    }
+  };
+
+  DOMBackend.removeAttribute = function(element, attribute) {
+    element.removeAttribute(attribute);
+  };
+
+  DOMBackend.addToObject = function(object, value) {
+    object.add(value);
+  };
+
+  DOMBackend.removeFromObject = function(object, value) {
+    object.remove(value);
+  };
+
+  DOMBackend.assignProperty = function(object, property, value) {
+    object[property] = value;
+  };
+
+  DOMBackend.setStyleProperty = function(style, property, value) {
+    if (value === '' || value === null || value === undefined) style.removeProperty(property);
+    else style.setProperty(property, value);
+  };
+
+  DOMBackend.setAttributeOnDescendants = function(element, attribute, attributeValue) {
+    /* Gets all the descendants for element
+     * https://stackoverflow.com/questions/26325278/how-can-i-get-all-descendant-elements-for-parent-container
+     * */
+    var descendants = element.querySelectorAll('*');
+    for (var i = 0; i < descendants.length; i++) {
+      descendants[i].setAttribute(attribute, attributeValue);
+    }
+  };
+
+  module.exports = DOMBackend;
+});
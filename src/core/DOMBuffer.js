@@ -4,100 +4,381 @@
 
 
 define(function (require, exports, module) {
+  var DOMBackend = require('./DOMBackend');
 
   /**
-   * Singleton class optimized for high performance in DOM updates. All DOM updates that are done through this class will
+   * Buffer optimized for high performance in DOM updates. All DOM updates that are done through a buffer will
    * be cached and can be flushed at the same order the instructions came in.
    *
+   * Writes are coalesced per flush: when the same property or attribute of an object is written more than once,
+   * only the last write is executed, and adding and removing the same class collapses to the last of the two.
+   * Writes are not coalesced across structural operations (appending, inserting or removing children) on the same
+   * object, since those may depend on the earlier value (e.g. innerHTML).
    *
-   * @type {{}}
+   * Reads from the DOM should be done through measure(). All measurements are done in one phase at the start of the
+   * flush, before any write is executed, so that a frame never interleaves reads and writes.
+   *
+   * The operations are executed by a backend, which defaults to DOMBackend. Another backend, like a
+   * RecordingDOMBackend, can be set with setBackend().
+   *
+   * Every operation is executed in isolation: when one throws (e.g. inserting into a detached node), the error is
+   * passed to the error handler and the remaining operations still run. The same goes for the reads and callbacks
+   * of measurements, which are reported as 'measure' and 'measureCallback' operations. The queue is always reset
+   * after a flush.
+   *
+   * @class DOMBufferInstance
+   * @constructor
+   * @private
    */
-  var DOMBuffer = {};
-  var enqueuedOperations = [];
+  function DOMBufferInstance() {
+    this._enqueuedOperations = [];
+    this._enqueuedMeasurements = [];
+    this._backend = DOMBackend;
+    this._errorHandler = null;
+    this._pendingWrites = new Map();
+    this._cancelledCount = 0;
+    this._stats = {
+      enqueued: 0,
+      coalesced: 0,
+      executed: 0,
+      measured: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * The result of a read queued through measure(). The value becomes available during the next flush.
+   *
+   * @class Measurement
+   * @constructor
+   * @private
+   * @param {Function} read function reading from the DOM
+   * @param {Function} [callback] called with the value once measured
+   */
+  function Measurement(read, callback) {
+    this.read = read;
+    this.callback = callback;
+    this.value = undefined;
+    this.done = false;
+  }
+
+  /**
+   * @method get
+   * @returns {*} the measured value, or undefined if not measured yet
+   */
+  Measurement.prototype.get = function() {
+    return this.value;
+  };
+
+  /**
+   * @method isDone
+   * @returns {Boolean} whether the measurement has been done
+   */
+  Measurement.prototype.isDone = function() {
+    return this.done;
+  };
+
+  // Enqueues an operation that writes the value of key on target, cancelling an earlier write of the same key
+  function _enqueueWrite(operation, data, target, key) {
+    var enqueuedOperation = { data: data, operation: operation };
+    var writes = this._pendingWrites.get(target);
+    if (!writes) {
+      writes = {};
+      this._pendingWrites.set(target, writes);
+    }
+    var previousOperation = writes[key];
+    if (previousOperation && !previousOperation.cancelled) {
+      previousOperation.cancelled = true;
+      this._cancelledCount++;
+      this._stats.coalesced++;
+    }
+    writes[key] = enqueuedOperation;
+    _enqueue.call(this, enqueuedOperation);
+  }
+
+  // Enqueues an operation that changes the children of target, which acts as a barrier for coalescing writes
+  function _enqueueStructural(operation, data, target) {
+    this._pendingWrites.delete(target);
+    _enqueue.call(this, { data: data, operation: operation });
+  }
+
+  function _enqueue(enqueuedOperation) {
+    this._stats.enqueued++;
+    this._enqueuedOperations.push(enqueuedOperation);
+  }
+
+  /**
+   * Sets the backend that executes the operations on flush.
+   *
+   * @param {Object} [backend] Object implementing a method for every operation. Defaults to DOMBackend.
+   * @returns {Object} the previous backend
+   */
+  DOMBufferInstance.prototype.setBackend = function(backend) {
+    var previousBackend = this._backend;
+    this._backend = backend || DOMBackend;
+    return previousBackend;
+  };
+
+  /**
+   * @returns {Object} the backend that executes the operations on flush
+   */
+  DOMBufferInstance.prototype.getBackend = function() {
+    return this._backend;
+  };
+
+  /**
+   * Sets the function that is called when an operation fails during a flush. It receives an object with the error,
+   * the name of the operation, its target and all of its arguments. Without an error handler, the first error is
+   * thrown after the flush completed.
+   *
+   * @param {Function} [handler]
+   */
+  DOMBufferInstance.prototype.setErrorHandler = function(handler) {
+    this._errorHandler = handler || null;
+  };
+
+  DOMBufferInstance.prototype.assignProperty = function(object, property, value) {
+    _enqueueWrite.call(this, 'assignProperty', [object, property, value], object, 'property:' + property);
+  };
+
+  /**
+   * Sets a property through style.setProperty, which is needed for CSS custom properties (e.g. '--main-color').
+   *   An empty value removes the property.
+   */
+  DOMBufferInstance.prototype.setStyleProperty = function(style, property, value) {
+    _enqueueWrite.call(this, 'setStyleProperty', [style, property, value], style, 'property:' + property);
+  };
+
+  DOMBufferInstance.prototype.setAttribute = function(element, attribute, value) {
+    _enqueueWrite.call(this, 'setAttribute', [element, attribute, value], element, 'attribute:' + attribute);
+  };
+
+  DOMBufferInstance.prototype.addToObject = function(object, value) {
+    _enqueueWrite.call(this, 'addToObject', [object, value], object, 'token:' + value);
+  };
 
+  DOMBufferInstance.prototype.setAttributeOnDescendants = function(element, attribute, attributeValue) {
+    _enqueueStructural.call(this, 'setAttributeOnDescendants', [element, attribute, attributeValue], element);
+  };
 
-  DOMBuffer.assignProperty = function (object, property, value) {
-    enqueuedOperations.push({ data: [object, property, value], operation: 'assignProperty' });
+  DOMBufferInstance.prototype.removeFromObject = function(object, attribute) {
+    _enqueueWrite.call(this, 'removeFromObject', [object, attribute], object, 'token:' + attribute);
   };
 
-  DOMBuffer.setAttribute = function (element, attribute, value) {
-    enqueuedOperations.push({ data: [element, attribute, value], operation: 'setAttribute' });
+  DOMBufferInstance.prototype.removeAttribute = function(element, attribute) {
+    _enqueueWrite.call(this, 'removeAttribute', [element, attribute], element, 'attribute:' + attribute);
   };
 
-  DOMBuffer.addToObject = function (object, value) {
-    enqueuedOperations.push({ data: [object, value], operation: 'addToObject' });
+  DOMBufferInstance.prototype.removeChild = function(parent, childToRemove) {
+    _enqueueStructural.call(this, 'removeChild', [parent, childToRemove], parent);
   };
 
-  DOMBuffer.setAttributeOnDescendants = function (element, attribute, attributeValue) {
-    enqueuedOperations.push({ data: [element, attribute, attributeValue], operation: 'setAttributeOnDescendants' });
+  DOMBufferInstance.prototype.appendChild = function(parent, childToAppend) {
+    _enqueueStructural.call(this, 'appendChild', [parent, childToAppend], parent);
   };
 
-  DOMBuffer.removeFromObject = function (object, attribute) {
-    enqueuedOperations.push({ data: [object, attribute], operation: 'removeFromObject' });
+  DOMBufferInstance.prototype.insertBefore = function(parent, childBefore, childToInsert) {
+    _enqueueStructural.call(this, 'insertBefore', [parent, childBefore, childToInsert], parent);
   };
 
-  DOMBuffer.removeAttribute = function (element, attribute) {
-    enqueuedOperations.push({ data: [element, attribute], operation: 'removeAttribute' });
+  /**
+   * Returns the amount of operations that will be executed on the next flush.
+   *
+   * @returns {Number}
+   */
+  DOMBufferInstance.prototype.getPendingOperationCount = function() {
+    return this._enqueuedOperations.length - this._cancelledCount;
   };
 
-  DOMBuffer.removeChild = function (parent, childToRemove) {
-    enqueuedOperations.push({ data: [parent, childToRemove], operation: 'removeChild' });
+  /**
+   * Returns the counters of this buffer since it was created (or since resetStats was called): the amount of
+   * operations that were enqueued, coalesced away, and executed.
+   *
+   * @returns {{enqueued: Number, coalesced: Number, executed: Number}}
+   */
+  DOMBufferInstance.prototype.getStats = function() {
+    return {
+      enqueued: this._stats.enqueued,
+      coalesced: this._stats.coalesced,
+      executed: this._stats.executed,
+      measured: this._stats.measured,
+      failed: this._stats.failed
+    };
   };
 
-  DOMBuffer.appendChild = function (parent, childToAppend) {
-    enqueuedOperations.push({ data: [parent, childToAppend], operation: 'appendChild' });
+  DOMBufferInstance.prototype.resetStats = function() {
+    this._stats.enqueued = 0;
+    this._stats.coalesced = 0;
+    this._stats.executed = 0;
+    this._stats.measured = 0;
+    this._stats.failed = 0;
   };
 
-  DOMBuffer.insertBefore = function (parent, childBefore, childToInsert) {
-    enqueuedOperations.push({ data: [parent, childBefore, childToInsert], operation: 'insertBefore' });
+  /**
+   * Queues a read from the DOM. The read is done in the measure phase of the next flush, together with all other
+   * reads, before any write is executed. Callbacks are called after all reads are done, so that writes they enqueue
+   * don't invalidate the layout for the other reads. Writes enqueued from callbacks are executed in the same flush.
+   *
+   * @param {Function} read function reading from the DOM and returning the value
+   * @param {Function} [callback] called with the value
+   * @returns {Measurement} measurement holding the value after the next flush
+   */
+  DOMBufferInstance.prototype.measure = function(read, callback) {
+    var measurement = new Measurement(read, callback);
+    this._enqueuedMeasurements.push(measurement);
+    return measurement;
   };
 
-  DOMBuffer.flushUpdates = function () {
-    for (var index = 0; index < enqueuedOperations.length; index++) {
-      var enqueuedOperation = enqueuedOperations[index];
-      var operationName = enqueuedOperation.operation;
-      var data = enqueuedOperation.data;
-      switch (operationName) {
-        case 'appendChild':
-          data[0].appendChild(data[1]);
-          break;
-        case 'insertBefore':
-          data[0].insertBefore(data[1], data[2]);
-          break;
-        case 'setAttribute':
-          data[0].setAttribute(data[1], data[2]);
-          break;
-        case 'removeChild':
-          if (data[0].childNodes.length && data[0].contains(data[1])) {
-            data[0].removeChild(data[1]);
-          }
-          break;
-        case 'removeAttribute':
-          data[0].removeAttribute(data[1]);
-          break;
-        case 'addToObject':
-          data[0].add(data[1]);
-          break;
-        case 'removeFromObject':
-          data[0].remove(data[1]);
-          break;
-        case 'assignProperty':
-          data[0][data[1]] = data[2];
-          break;
-        case 'setAttributeOnDescendants':
-          /* Gets all the descendants for element
-           * https://stackoverflow.com/questions/26325278/how-can-i-get-all-descendant-elements-for-parent-container
-           * */
-          var descendants = data[0].querySelectorAll("*");
-          for (var i = 0; i < descendants.length; i++) {
-            descendants[i].setAttribute(data[1], data[2]);
-          }
-          break;
+  // Calls a function of a measurement, returning a description of the failure if it throws
+  function _measureStep(measurement, operation, fn, value) {
+    try {
+      if (operation === 'measure') measurement.value = fn();
+      else fn(value);
+    } catch (error) {
+      return {
+        error: error,
+        operation: operation,
+        target: measurement,
+        data: [measurement]
+      };
+    }
+    return null;
+  }
+
+  // Does all the queued reads, and then calls their callbacks. A read or callback that throws is reported as a
+  // failure of its own, without affecting the other measurements. The callback of a failed read isn't called.
+  function _flushMeasurements(failures) {
+    var measurements = this._enqueuedMeasurements;
+    if (!measurements.length) return;
+    this._enqueuedMeasurements = [];
+    var failed = [];
+    var failure;
+    var i;
+    for (i = 0; i < measurements.length; i++) {
+      failure = _measureStep(measurements[i], 'measure', measurements[i].read);
+      if (failure) failures.push(failure);
+      failed[i] = !!failure;
+      measurements[i].done = true;
+    }
+    this._stats.measured += measurements.length;
+    for (i = 0; i < measurements.length; i++) {
+      if (failed[i] || !measurements[i].callback) continue;
+      failure = _measureStep(measurements[i], 'measureCallback', measurements[i].callback, measurements[i].value);
+      if (failure) failures.push(failure);
+    }
+  }
+
+  // Executes an operation, returning a description of the failure if it throws
+  function _execute(enqueuedOperation) {
+    try {
+      this._backend[enqueuedOperation.operation].apply(this._backend, enqueuedOperation.data);
+    } catch (error) {
+      return {
+        error: error,
+        operation: enqueuedOperation.operation,
+        target: enqueuedOperation.data[0],
+        data: enqueuedOperation.data
+      };
+    }
+    return null;
+  }
+
+  DOMBufferInstance.prototype.flushUpdates = function() {
+    var failures = [];
+    try {
+      _flushMeasurements.call(this, failures);
+      var enqueuedOperations = this._enqueuedOperations;
+      for (var index = 0; index < enqueuedOperations.length; index++) {
+        var enqueuedOperation = enqueuedOperations[index];
+        if (enqueuedOperation.cancelled) continue;
+        this._stats.executed++;
+        var failure = _execute.call(this, enqueuedOperation);
+        if (failure) failures.push(failure);
       }
+    } finally {
+      this._enqueuedOperations = [];
+      this._pendingWrites = new Map();
+      this._cancelledCount = 0;
     }
-    enqueuedOperations = [];
+
+    if (!failures.length) return;
+    this._stats.failed += failures.length;
+    if (!this._errorHandler) throw failures[0].error;
+    for (var i = 0; i < failures.length; i++) this._errorHandler(failures[i]);
+  };
+
+  var defaultBuffer = new DOMBufferInstance();
+  var activeBuffer = defaultBuffer;
+
+  /**
+   * Singleton through which the render tree enqueues its DOM updates. The operations are routed to the active
+   * buffer, which is the buffer of the Engine that is currently running a frame. Outside of a frame, the buffer of
+   * the default Engine is used.
+   *
+   *
+   * @type {{}}
+   */
+  var DOMBuffer = {};
+
+  [
+    'assignProperty',
+    'setStyleProperty',
+    'setAttribute',
+    'addToObject',
+    'setAttributeOnDescendants',
+    'removeFromObject',
+    'removeAttribute',
+    'removeChild',
+    'appendChild',
+    'insertBefore',
+    'getPendingOperationCount',
+    'getStats',
+    'resetStats',
+    'measure',
+    'setBackend',
+    'setErrorHandler',
+    'getBackend',
+    'flushUpdates'
+  ].forEach(function(methodName) {
+    DOMBuffer[methodName] = function() {
+      return activeBuffer[methodName].apply(activeBuffer, arguments);
+    };
+  });
+
+  /**
+   * Creates a new, separate buffer.
+   *
+   * @returns {DOMBufferInstance}
+   */
+  DOMBuffer.createBuffer = function() {
+    return new DOMBufferInstance();
+  };
+
+  /**
+   * @returns {DOMBufferInstance} the buffer that is used when no Engine is running a frame
+   */
+  DOMBuffer.getDefaultBuffer = function() {
+    return defaultBuffer;
+  };
+
+  /**
+   * @returns {DOMBufferInstance} the buffer that operations are currently routed to
+   */
+  DOMBuffer.getActiveBuffer = function() {
+    return activeBuffer;
+  };
+
+  /**
+   * Routes all following operations to the given buffer.
+   *
+   * @param {DOMBufferInstance} [buffer] The buffer to route to. Defaults to the default buffer.
+   * @returns {DOMBufferInstance} the buffer that was active before
+   */
+  DOMBuffer.setActiveBuffer = function(buffer) {
+    var previousBuffer = activeBuffer;
+    activeBuffer = buffer || defaultBuffer;
+    return previousBuffer;
   };
 
   module.exports = DOMBuffer;
 });
-
@@ -0,0 +1,130 @@
+define(function(require, exports, module) {
+  var DOMBuffer = require('./DOMBuffer');
+
+  var usePrefix = !('transform' in document.documentElement.style);
+  var devicePixelRatio = window.devicePixelRatio || 1;
+
+  /**
+   * The default renderer of ElementOutput, applying the committed opacity, origin and transform of a renderable
+   *   to its document element as CSS (through the DOMBuffer).
+   *
+   *   A renderer decides how the state that the render tree resolved for an ElementOutput is displayed. Other
+   *   renderers (e.g. MemoryRenderer, or a renderer drawing image and colored surfaces on a single canvas)
+   *   implement the same methods, and are set on a Context through Context.setRenderer. Every method gets the
+   *   ElementOutput (which gives access to e.g. its size and properties) and the element that it is allocated in.
+   *
+   * @static
+   * @class DOMRenderer
+   */
+  var DOMRenderer = {};
+
+  /**
+   * Return a Matrix's webkit css representation to be used with the
+   *    CSS3 -webkit-transform style.
+   *    Example: -webkit-transform: matrix3d(1,0,0,0,0,1,0,0,0,0,1,0,716,243,0,1)
+   *
+   * @method _formatCSSTransform
+   * @private
+   * @param {FamousMatrix} m matrix
+   * @return {string} matrix3d CSS style representation of the transform
+   */
+  function _formatCSSTransform(m) {
+    m[12] = Math.round(m[12] * devicePixelRatio) / devicePixelRatio;
+    m[13] = Math.round(m[13] * devicePixelRatio) / devicePixelRatio;
+
+    var result = 'matrix3d(';
+    for (var i = 0; i < 15; i++) {
+      result += (m[i] < 0.000001 && m[i] > -0.000001) ? '0,' : m[i] + ',';
+    }
+    result += m[15] + ')';
+    return result;
+  }
+
+  // format origin as CSS percentage string
+  function _formatCSSOrigin(origin) {
+    return (100 * origin[0]) + '% ' + (100 * origin[1]) + '%';
+  }
+
+  var transformProperty = usePrefix ? 'webkitTransform' : 'transform';
+  var originProperty = usePrefix ? 'webkitTransformOrigin' : 'transformOrigin';
+
+  /**
+   * @static
+   * @method setOpacity
+   * @param {ElementOutput} output the committed renderable
+   * @param {Node} element document element of the renderable
+   * @param {Number} opacity opacity between 0 and 1
+   */
+  DOMRenderer.setOpacity = function setOpacity(output, element, opacity) {
+    DOMBuffer.assignProperty(element.style, 'opacity', (opacity >= 1) ? '0.999999' : opacity);
+  };
+
+  /**
+   * @static
+   * @method setOrigin
+   * @param {ElementOutput} output the committed renderable
+   * @param {Node} element document element of the renderable
+   * @param {Array.Number} origin [x, y] origin as a fraction of the size
+   */
+  DOMRenderer.setOrigin = function setOrigin(output, element, origin) {
+    DOMBuffer.assignProperty(element.style, originProperty, _formatCSSOrigin(origin));
+  };
+
+  /**
+   * Applies the transform, which already includes the translation of the origin. Since a lot of browsers are
+   *   buggy, the z-index is set as well to successfully place things on top of each other. Note that the
+   *   translation of the matrix is rounded to device pixels in place.
+   *
+   * @static
+   * @method setTransform
+   * @param {ElementOutput} output the committed renderable
+   * @param {Node} element document element of the renderable
+   * @param {FamousMatrix} matrix transform relative to the container of the element
+   */
+  DOMRenderer.setTransform = function setTransform(output, element, matrix) {
+    DOMBuffer.assignProperty(element.style, transformProperty, _formatCSSTransform(matrix));
+    DOMBuffer.assignProperty(element.style, 'zIndex', Math.round(matrix[14]));
+  };
+
+  /**
+   * Shrinks the element until it is effectively invisible, when the renderable is no longer transformed.
+   *
+   * @static
+   * @method setInvisible
+   * @param {ElementOutput} output the committed renderable
+   * @param {Node} element document element of the renderable
+   */
+  DOMRenderer.setInvisible = function setInvisible(output, element) {
+    DOMBuffer.assignProperty(element.style, transformProperty, 'scale3d(0.0001,0.0001,0.0001)');
+    DOMBuffer.assignProperty(element.style, 'opacity', '0');
+  };
+
+  /**
+   * Shows or hides the element, e.g. when the renderable is no longer rendered but still attached.
+   *
+   * @static
+   * @method setDisplayed
+   * @param {ElementOutput} output the committed renderable
+   * @param {Node} element document element of the renderable
+   * @param {Boolean} displayed whether the element is displayed
+   */
+  DOMRenderer.setDisplayed = function setDisplayed(output, element, displayed) {
+    DOMBuffer.assignProperty(element.style, 'display', displayed ? '' : 'none');
+  };
+
+  /**
+   * Hides the element and resets its opacity, when the renderable is cleaned up and its element is returned to
+   *   the allocator.
+   *
+   * @static
+   * @method release
+   * @param {ElementOutput} output the renderable that is cleaned up
+   * @param {Node} element document element of the renderable
+   */
+  DOMRenderer.release = function release(output, element) {
+    DOMBuffer.assignProperty(element.style, 'display', 'none');
+    DOMBuffer.assignProperty(element.style, 'opacity', '');
+  };
+
+  module.exports = DOMRenderer;
+});
@@ -12,10 +12,8 @@ define(function(require, exports, module) {
     var EventHandler = require('./EventHandler');
     var Transform = require('./Transform');
     var DOMEventHandler = require('./DOMEventHandler');
-    var DOMBuffer = require('./DOMBuffer');
-
-    var usePrefix = !('transform' in document.documentElement.style);
-    var devicePixelRatio = window.devicePixelRatio || 1;
+    var Accessibility = require('./Accessibility');
+    var DOMRenderer = require('./DOMRenderer');
 
     /**
      * A base class for viewable content and event
@@ -33,6 +31,10 @@ define(function(require, exports, module) {
         this._opacity = 1;
         this._origin = null;
         this._size = null;
+        this._position = null;
+        /* The committed position relative to the root context, including the offsets of the containers that this
+           element is nested in (but not native scroll offsets), e.g. for spatial navigation by the FocusManager */
+        this._screenPosition = null;
 
         this._eventOutput = new EventHandler();
         this._eventOutput.bindThis(this);
@@ -49,6 +51,7 @@ define(function(require, exports, module) {
         this._transformDirty = false;
 
         this._invisible = false;
+        this._renderer = DOMRenderer;
         if (element) this.attach(element);
     }
 
@@ -156,73 +159,6 @@ define(function(require, exports, module) {
         }
     }
 
-    /**
-     * Return a Matrix's webkit css representation to be used with the
-     *    CSS3 -webkit-transform style.
-     *    Example: -webkit-transform: matrix3d(1,0,0,0,0,1,0,0,0,0,1,0,716,243,0,1)
-     *
-     * @method _formatCSSTransform
-     * @private
-     * @param {FamousMatrix} m matrix
-     * @return {string} matrix3d CSS style representation of the transform
-     */
-    function _formatCSSTransform(m) {
-        m[12] = Math.round(m[12] * devicePixelRatio) / devicePixelRatio;
-        m[13] = Math.round(m[13] * devicePixelRatio) / devicePixelRatio;
-
-        var result = 'matrix3d(';
-        for (var i = 0; i < 15; i++) {
-            result += (m[i] < 0.000001 && m[i] > -0.000001) ? '0,' : m[i] + ',';
-        }
-        result += m[15] + ')';
-        return result;
-    }
-    /**
-     * Directly apply given FamousMatrix to the document element as the
-     *   appropriate webkit CSS style.
-     *
-     * @method setMatrix
-     *
-     * @static
-     * @private
-     * @param {Element} element document element
-     * @param {FamousMatrix} matrix
-     */
-
-    var _setMatrix;
-    if (usePrefix) {
-        _setMatrix = function(element, matrix) {
-          DOMBuffer.assignProperty(element.style, 'webkitTransform', _formatCSSTransform(matrix));
-        };
-    }
-    else {
-        _setMatrix = function(element, matrix) {
-          DOMBuffer.assignProperty(element.style, 'transform', _formatCSSTransform(matrix));
-        };
-    }
-
-    // format origin as CSS percentage string
-    function _formatCSSOrigin(origin) {
-        return (100 * origin[0]) + '% ' + (100 * origin[1]) + '%';
-    }
-
-    // Directly apply given origin coordinates to the document element as the
-    // appropriate webkit CSS style.
-    var _setOrigin = usePrefix ? function(element, origin) {
-        DOMBuffer.assignProperty(element.style, 'webkitTransform', _formatCSSOrigin(origin));
-    } : function(element, origin) {
-        DOMBuffer.assignProperty(element.style, 'transformOrigin', _formatCSSOrigin(origin));
-    };
-
-    // Shrink given document element until it is effectively invisible.
-    var _setInvisible = usePrefix ? function(element) {
-      DOMBuffer.assignProperty(element.style, 'webkitTransform', 'scale3d(0.0001,0.0001,0.0001)');
-      DOMBuffer.assignProperty(element.style, 'opacity', '0');
-    } : function(element) {
-      DOMBuffer.assignProperty(element.style, 'transform', 'scale3d(0.0001,0.0001,0.0001)');
-      DOMBuffer.assignProperty(element.style, 'opacity', '0');
-    };
-
     function _xyNotEquals(a, b) {
         return (a && b) ? (a[0] !== b[0] || a[1] !== b[1]) : a !== b;
     }
@@ -232,6 +168,9 @@ define(function(require, exports, module) {
      * This includes changes to classes, styles, size, content, opacity, origin,
      * and matrix transforms.
      *
+     * The opacity, origin and transform are applied by the renderer of the commit context
+     * (see Context.setRenderer), which defaults to DOMRenderer.
+     *
      * @private
      * @method commit
      * @param {Context} context commit context
@@ -240,6 +179,15 @@ define(function(require, exports, module) {
         var target = this._element;
         if (!target) return;
 
+        var renderer = context.renderer || DOMRenderer;
+        if (this._renderer !== renderer) {
+            /* Everything has to be applied again by the new renderer */
+            this._renderer = renderer;
+            this._opacity = null;
+            this._originDirty = true;
+            this._transformDirty = true;
+        }
+
         var matrix = context.transform;
         var opacity = context.opacity;
         var origin = context.origin;
@@ -248,7 +196,7 @@ define(function(require, exports, module) {
         if (!matrix && this._matrix) {
             this._matrix = null;
             this._opacity = 0;
-            _setInvisible(target);
+            renderer.setInvisible(this, target);
             return;
         }
 
@@ -257,12 +205,12 @@ define(function(require, exports, module) {
 
         if (this._invisible) {
             this._invisible = false;
-            DOMBuffer.assignProperty(this._element.style, 'display', '');
+            renderer.setDisplayed(this, target, true);
         }
 
         if (this._opacity !== opacity) {
             this._opacity = opacity;
-            DOMBuffer.assignProperty(target.style, 'opacity', (opacity >= 1) ? '0.999999' : opacity);
+            renderer.setOpacity(this, target, opacity);
         }
 
         if (this._transformDirty || this._originDirty || this._sizeDirty) {
@@ -275,25 +223,34 @@ define(function(require, exports, module) {
                     this._origin[1] = origin[1];
                 }
                 else this._origin = null;
-                _setOrigin(target, this._origin);
+                renderer.setOrigin(this, target, this._origin);
                 this._originDirty = false;
             }
 
             if (!matrix) matrix = Transform.identity;
             this._matrix = matrix;
             var aaMatrix = this._size ? Transform.thenMove(matrix, [-this._size[0]*origin[0], -this._size[1]*origin[1], 0]) : matrix;
-            _setMatrix(target, aaMatrix);
-             /* Since a lot of browsers are buggy, they need the z-index to be set as well besides the 3d transformation
-              * matrix to successfully place things on top of each other*/
-            DOMBuffer.assignProperty(target.style, 'zIndex', Math.round(aaMatrix[14]));
+            renderer.setTransform(this, target, aaMatrix);
+            this._position = [aaMatrix[12], aaMatrix[13]];
             this._transformDirty = false;
         }
+
+        if (this._position) {
+            var offset = context.offset;
+            if (!this._screenPosition) this._screenPosition = [0, 0];
+            this._screenPosition[0] = this._position[0] + (offset ? offset[0] : 0);
+            this._screenPosition[1] = this._position[1] + (offset ? offset[1] : 0);
+        }
+
+        if (this._position && !context.hide && context.allocator && Accessibility.isTrackingReadingOrder()) {
+            Accessibility.reportPosition(context.allocator.container, target, this._position[0], this._position[1]);
+        }
     };
 
     ElementOutput.prototype.cleanup = function cleanup() {
         if (this._element) {
             this._invisible = true;
-            DOMBuffer.assignProperty(this._element.style, 'display', 'none');
+            this._renderer.setDisplayed(this, this._element, false);
         }
     };
 
@@ -322,7 +279,7 @@ define(function(require, exports, module) {
             _removeEventListeners.call(this, target);
             if (this._invisible) {
                 this._invisible = false;
-                DOMBuffer.assignProperty(this._element.style, 'display', '');
+                this._renderer.setDisplayed(this, this._element, true);
             }
         }
         this._element = null;
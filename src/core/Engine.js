@@ -13,15 +13,28 @@ define(function (require, exports, module) {
    * The singleton object initiated upon process
    *   startup which manages all active Context instances, runs
    *   the render dispatch loop, and acts as a listener and dispatcher
-   *   for events.  All methods are therefore static.
+   *   for events.
    *
    *   On static initialization, window.requestAnimationFrame is called with
    *     the event loop function.
    *
+   *   Separate, isolated engines can be created through Engine.createEngine().
+   *     Every engine has its own contexts, run loop, options, event handler
+   *     and DOMBuffer. The singleton is the default engine.
+   *
+   *   While the page is hidden, the shared clock is paused and every engine
+   *     emits a 'pause' event. When the page becomes visible again, every engine
+   *     emits a 'resume' event and animations continue where they stopped
+   *     (see the resumeMode option).
+   *
+   *   A DOM update that fails while flushing the DOMBuffer doesn't stop the
+   *     frame: the other updates are still applied, and the engine emits an
+   *     'error' event with the error, the operation and its target. Without
+   *     listeners for it, the error is rethrown asynchronously instead.
+   *
    *   Note: Any window in which Engine runs will prevent default
    *     scrolling behavior on the 'touchmove' event.
    *
-   * @static
    * @class Engine
    */
   var Context = require('./Context');
@@ -29,9 +42,16 @@ define(function (require, exports, module) {
   var EventHandler = require('./EventHandler');
   var OptionsManager = require('./OptionsManager');
   var DOMBuffer = require('./DOMBuffer');
+  var Clock = require('./Clock');
+  var FrameProfiler = require('./FrameProfiler');
+  var QualityPolicy = require('./QualityPolicy');
+  var Accessibility = require('./Accessibility');
 
   /* Precise function for comparing time stamps*/
-  var getTime = (typeof window !== 'undefined' && window.performance && window.performance.now) ?
+  var getTime = Clock.now;
+
+  /* Reads the real time, which keeps moving while the clock is virtual or paused */
+  var getRealTime = (typeof window !== 'undefined' && window.performance && window.performance.now) ?
     function() {
       return window.performance.now();
     }
@@ -39,41 +59,169 @@ define(function (require, exports, module) {
       return Date.now();
     };
 
+  /** @const */
+  var MAX_DEFER_FRAME_TIME = 10;
 
-  var Engine = {};
+  /* All engines that were created, including the default engine */
+  var engines = [];
 
-  var contexts = [];
+  /* Amount of engines that run at the critical priority level */
+  var criticalEngines = 0;
 
-  var nextTickQueue = [];
+  /**
+   * A function queued through nextTick or defer. Tasks with a higher priority run first, tasks with
+   *   the same priority run in the order they were queued.
+   *
+   * @class ScheduledTask
+   * @constructor
+   * @private
+   * @param {Function} fn function to run
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0] priority of the task
+   * @param {string} [options.group] name of the group the task belongs to
+   */
+  function ScheduledTask(fn, options) {
+    this.fn = fn;
+    this.priority = (options && options.priority) || 0;
+    this.group = options && options.group;
+    this._queue = null;
+  }
 
-  var currentFrame = 0;
-  var nextTickFrame = 0;
+  /**
+   * Removes the task from its queue, so that it won't run.
+   *
+   * @method cancel
+   * @return {boolean} true if the task was pending
+   */
+  ScheduledTask.prototype.cancel = function cancel() {
+    if (!this._queue) return false;
+    var index = this._queue.indexOf(this);
+    if (index >= 0) this._queue.splice(index, 1);
+    this._queue = null;
+    return true;
+  };
 
-  var deferQueue = [];
+  /**
+   * @method isPending
+   * @return {boolean} whether the task still has to run
+   */
+  ScheduledTask.prototype.isPending = function isPending() {
+    return !!this._queue;
+  };
 
-  /* The last timestamp of the previous frame */
-  var lastTime = getTime();
+  // Inserts the task after all the tasks with the same or a higher priority
+  function _enqueue(queue, task) {
+    var index = queue.length;
+    while (index > 0 && queue[index - 1].priority < task.priority) index--;
+    queue.splice(index, 0, task);
+    task._queue = queue;
+    return task;
+  }
 
-  var frameTime;
-  var frameTimeLimit;
-  var loopEnabled = true;
-  var eventForwarders = {};
-  var eventHandler = new EventHandler();
+  // Takes the task out of its queue and runs it
+  function _runTask(task, context, argument) {
+    task.cancel();
+    task.fn.call(context, argument);
+  }
 
-  var options = {
-    containerType: 'div',
-    containerClass: 'famous-container',
-    fpsCap: undefined,
-    runLoop: true,
-    appMode: true
-  };
-  var optionsManager = new OptionsManager(options);
+  // Collects the pending tasks of a group in the queue. They stay queued until they are run or cancelled.
+  function _takeGroup(queue, group) {
+    var result = [];
+    for (var i = 0; i < queue.length; i++) {
+      if (queue[i].group === group) result.push(queue[i]);
+    }
+    return result;
+  }
 
-  /** @const */
-  var MAX_DEFER_FRAME_TIME = 10;
+  // Moves the tasks left in a queue in front of the tasks with the same priority in another queue
+  function _carryOver(from, to) {
+    while (from.length) {
+      var task = from.pop();
+      var index = 0;
+      while (index < to.length && to[index].priority > task.priority) index++;
+      to.splice(index, 0, task);
+      task._queue = to;
+    }
+  }
 
+  /**
+   * An engine managing its own set of contexts and its own run loop.
+   *
+   * @class EngineInstance
+   * @constructor
+   * @private
+   * @param {Object} [options] overrides of default options, see setOptions
+   * @param {Object} [domBuffer] the buffer to flush DOM updates from. Defaults to a new buffer.
+   */
+  function EngineInstance(options, domBuffer) {
+    this._contexts = [];
+    this._nextTickQueue = [];
+    this._currentTickQueue = [];
+    this._currentFrame = 0;
+    this._nextTickFrame = 0;
+    this._deferQueue = [];
+
+    /* The last timestamp of the previous frame */
+    this._lastTime = getTime();
+
+    this._frameTime = undefined;
+    this._frameTimeLimit = undefined;
+    this._loopEnabled = true;
+    this._eventForwarders = {};
+    this._eventHandler = new EventHandler();
+    this._domBuffer = domBuffer || DOMBuffer.createBuffer();
+    this._domBuffer.setErrorHandler(_handleDOMBufferError.bind(this));
+    this._frameStatsHistory = [];
+    this._containerWatchers = [];
+    this._pendingContainerResizes = [];
+    this._lastContainerPoll = 0;
+
+    this._options = {
+      containerType: 'div',
+      containerClass: 'famous-container',
+      fpsCap: undefined,
+      runLoop: true,
+      appMode: true,
+      profileFrames: false,
+      profileHistoryLength: 60,
+      resumeMode: 'continue',
+      watchContainers: true,
+      containerPollInterval: 250,
+      deferBudget: MAX_DEFER_FRAME_TIME
+    };
+    this._optionsManager = new OptionsManager(this._options);
+    this._optionsManager.on('change', _onOptionChange.bind(this));
+
+    this._qualityPolicy = new QualityPolicy(this.PriorityLevels);
+    this._qualityPolicy.on('levelChange', function(event) {
+      this._eventHandler.emit('priorityLevelChange', event);
+    }.bind(this));
+    this._reducedQualityAdjustment = this._qualityPolicy.registerAdjustment('critical',
+      _setReducedQuality.bind(this, true), _setReducedQuality.bind(this, false));
+    /* The baseline level, until the quality policy has seen enough frames to decide one */
+    this._priorityLevel = this.PriorityLevels.normal;
+
+    this.touchMoveEnabled = true;
+    this._loop = _loop.bind(this);
+    this._handleResize = _handleResize.bind(this);
+
+    if (options) this.setOptions(options);
+
+    engines.push(this);
+
+    if (typeof window !== 'undefined') {
+      window.requestAnimationFrame(this._loop);
+      window.addEventListener('resize', this._handleResize, false);
+      this._handleResize();
+    }
+  }
 
-  Engine.PriorityLevels = {
+  /**
+   * The levels of degradation the Engine can run at, mapped to frame time thresholds in milliseconds.
+   *   The level is decided by the quality policy from the smoothed frame time (see QualityPolicy).
+   *   The levels are shared by all engines.
+   */
+  EngineInstance.prototype.PriorityLevels = {
     critical: Infinity,
     normal: 130,
     generous: 0
@@ -86,54 +234,112 @@ define(function (require, exports, module) {
    *   calls in order any one-shot functions registered by nextTick on last loop,
    *   calls Context.update on all Context objects registered,
    *   and emits dataless 'postrender' event on end of loop.
+   *   If the profileFrames option is set, the duration of every phase is recorded
+   *   and emitted as a 'frameStats' event after 'postrender'.
    *
-   * @static
    * @private
    * @method step
    */
-  Engine.step = function step() {
-    currentFrame++;
-    nextTickFrame = currentFrame;
+  EngineInstance.prototype.step = function step() {
+    this._currentFrame++;
+    this._nextTickFrame = this._currentFrame;
 
     var currentTime = getTime();
 
-    this._lastFrameTimeDelta = currentTime - lastTime;
+    this._lastFrameTimeDelta = currentTime - this._lastTime;
     // skip frame if we're over our framerate cap
-    if (frameTimeLimit && this._lastFrameTimeDelta < frameTimeLimit) return;
-
-    this._priorityLevel = Infinity;
-    var priorityLevels = Object.keys(Engine.PriorityLevels);
-    for (var i = 0; i < priorityLevels.length; i++) {
-      var priority = priorityLevels[i];
-      var priorityLevelCriteria = Engine.PriorityLevels[priority];
-      if (this._lastFrameTimeDelta < priorityLevelCriteria && priorityLevelCriteria <= this._priorityLevel){
-          this._priorityLevel = priorityLevelCriteria;
-        }
-    }
-
-    frameTime = currentTime - lastTime;
-    lastTime = currentTime;
-
-    eventHandler.emit('prerender');
+    if (this._frameTimeLimit && this._lastFrameTimeDelta < this._frameTimeLimit) return;
+
+    /* The policy doesn't decide a level until it has seen enough frames */
+    var priorityLevel = this._qualityPolicy.update(this._lastFrameTimeDelta);
+    if (priorityLevel !== undefined) this._priorityLevel = priorityLevel;
+
+    this._frameTime = currentTime - this._lastTime;
+    this._lastTime = currentTime;
+
+    /* Route the DOM updates done during this frame to the buffer of this engine */
+    var previousBuffer = DOMBuffer.setActiveBuffer(this._domBuffer);
+    try {
+      var profiling = this._options.profileFrames;
+      if (profiling) {
+        FrameProfiler.beginFrame(this._currentFrame, this._frameTime);
+        var bufferStatsBefore = this._domBuffer.getStats();
+      }
 
-    // empty the queue
-    var numFunctions = nextTickQueue.length;
-    while (numFunctions--) (nextTickQueue.shift())(currentFrame);
+      this._eventHandler.emit('prerender');
+      if (profiling) FrameProfiler.mark('prerender');
 
-    // limit total execution time for deferrable functions
-    while (deferQueue.length && (getTime() - currentTime) < MAX_DEFER_FRAME_TIME) {
-      deferQueue.shift().call(this);
+      // empty the queue, functions queued while doing so run on the next tick
+      var tickQueue = this._currentTickQueue = this._nextTickQueue;
+      this._nextTickQueue = [];
+      try {
+        while (tickQueue.length) _runTask(tickQueue[0], undefined, this._currentFrame);
+      }
+      finally {
+        // when a task throws, the tasks after it run on the next tick
+        _carryOver(tickQueue, this._nextTickQueue);
+      }
+      if (profiling) FrameProfiler.mark('nextTick');
+
+      // limit total execution time for deferrable functions, measured in real time since the clock doesn't
+      // move within a frame. In virtual time, all of them run for deterministic frames. Functions deferred
+      // while doing so run on a later frame.
+      var deferBudget = Clock.isVirtual() ? Infinity : this._options.deferBudget;
+      var deferStart = getRealTime();
+      var deferCount = this._deferQueue.length;
+      while (deferCount-- > 0 && this._deferQueue.length && (getRealTime() - deferStart) < deferBudget) {
+        _runTask(this._deferQueue[0], this);
+      }
+      if (profiling) FrameProfiler.mark('defer');
+
+      _processContainerResizes.call(this, currentTime);
+
+      var contexts = this._contexts;
+      for (var i = 0; i < contexts.length; i++) contexts[i].update();
+      if (Accessibility.isTrackingReadingOrder()) Accessibility.commitReadingOrder(this);
+      if (profiling) FrameProfiler.mark('update');
+
+      this._domBuffer.flushUpdates();
+      if (profiling) {
+        var bufferStats = this._domBuffer.getStats();
+        FrameProfiler.count('domOperations', bufferStats.executed - bufferStatsBefore.executed);
+        FrameProfiler.count('domOperationsEnqueued', bufferStats.enqueued - bufferStatsBefore.enqueued);
+        FrameProfiler.count('domOperationsCoalesced', bufferStats.coalesced - bufferStatsBefore.coalesced);
+        FrameProfiler.count('domMeasurements', bufferStats.measured - bufferStatsBefore.measured);
+        FrameProfiler.mark('flush');
+      }
+    }
+    finally {
+      DOMBuffer.setActiveBuffer(previousBuffer);
     }
 
-    for (var i = 0; i < contexts.length; i++) contexts[i].update();
-
-    DOMBuffer.flushUpdates();
-
-    eventHandler.emit('postrender');
-
+    this._eventHandler.emit('postrender');
 
+    if (profiling) {
+      FrameProfiler.mark('postrender');
+      var stats = FrameProfiler.endFrame();
+      this._frameStatsHistory.push(stats);
+      if (this._frameStatsHistory.length > this._options.profileHistoryLength) this._frameStatsHistory.shift();
+      this._eventHandler.emit('frameStats', stats);
+    }
   };
 
+  //
+  // Reports a DOM operation that failed during the flush as an 'error' event, containing
+  //   the error, the name of the operation and its target. Without listeners, the error is
+  //   rethrown outside of the frame, so that it is still reported as uncaught.
+  //
+  function _handleDOMBufferError(failure) {
+    if (this._eventHandler.listeners.error && this._eventHandler.listeners.error.length) {
+      this._eventHandler.emit('error', failure);
+    }
+    else {
+      setTimeout(function() {
+        throw failure.error;
+      }, 0);
+    }
+  }
+
   /**
    * @example
    *
@@ -146,11 +352,11 @@ define(function (require, exports, module) {
    *
    * @param options
    */
-  Engine.restrictAnimations = function disableAnimationsWhen(options) {
+  EngineInstance.prototype.restrictAnimations = function disableAnimationsWhen(options) {
     this._disableAnimationSpec = options;
   };
 
-  Engine.shouldPropertyAnimate = function shouldPropertyAnimate(propertyName){
+  EngineInstance.prototype.shouldPropertyAnimate = function shouldPropertyAnimate(propertyName){
     if(!this._disableAnimationSpec){
       return true;
     }
@@ -162,21 +368,43 @@ define(function (require, exports, module) {
   };
 
 
-  Engine.getFrameTimeDelta = function getFrameTimeDelta() {
+  EngineInstance.prototype.getFrameTimeDelta = function getFrameTimeDelta() {
     return this._lastFrameTimeDelta;
   };
 
+  /**
+   * Returns the stats of the last profiled frame. Frames are only profiled when the
+   *    profileFrames option is set. The stats contain the duration of every phase of the
+   *    frame (prerender, nextTick, defer, update, flush and postrender), the total duration,
+   *    the amount of DOM operations executed, enqueued and coalesced, the amount of DOM reads
+   *    done through DOMBuffer.measure, and the amount of
+   *    surfaces committed, deployed and recalled.
+   *
+   * @method getFrameStats
+   * @return {Object} stats of the last profiled frame, or null if no frame was profiled
+   */
+  EngineInstance.prototype.getFrameStats = function getFrameStats() {
+    return this._frameStatsHistory[this._frameStatsHistory.length - 1] || null;
+  };
+
+  /**
+   * Returns the stats of the most recently profiled frames. The amount of frames that is
+   *    kept is set through the profileHistoryLength option.
+   *
+   * @method getFrameStatsHistory
+   * @return {Array} stats of the profiled frames, oldest first
+   */
+  EngineInstance.prototype.getFrameStatsHistory = function getFrameStatsHistory() {
+    return this._frameStatsHistory.slice();
+  };
+
   // engage requestAnimationFrame
-  function loop() {
-    if (options.runLoop) {
-      Engine.step();
-      window.requestAnimationFrame(loop);
+  function _loop() {
+    if (this._options.runLoop) {
+      this.step();
+      window.requestAnimationFrame(this._loop);
     }
-    else loopEnabled = false;
-  }
-
-  if (typeof window !== 'undefined') {
-    window.requestAnimationFrame(loop);
+    else this._loopEnabled = false;
   }
 
   //
@@ -185,28 +413,135 @@ define(function (require, exports, module) {
   //   and for each managed Context: emit the 'resize' event and update its size.
   // @param {Object=} event document event
   //
-  function handleResize(event) {
-    for (var i = 0; i < contexts.length; i++) {
-      contexts[i].emit('resize');
+  function _handleResize(event) {
+    for (var i = 0; i < this._contexts.length; i++) {
+      this._contexts[i].emit('resize', {source: 'window'});
     }
-    eventHandler.emit('resize');
+    this._eventHandler.emit('resize');
   }
 
-  if (typeof window !== 'undefined') {
+  var useResizeObserver = typeof window !== 'undefined' && 'ResizeObserver' in window;
+
+  //
+  // Starts watching the container of a context for size changes. Uses a ResizeObserver where available,
+  //   and polls the size of the container otherwise.
+  //
+  function _watchContainer(context, element) {
+    var watcher = {
+      context: context,
+      element: element,
+      size: [element.clientWidth, element.clientHeight],
+      observer: null
+    };
+    if (useResizeObserver) {
+      watcher.observer = new window.ResizeObserver(_queueContainerResize.bind(this, watcher));
+      watcher.observer.observe(element);
+    }
+    this._containerWatchers.push(watcher);
+  }
 
-    window.addEventListener('resize', handleResize, false);
-    handleResize();
+  function _unwatchContainer(context) {
+    var watchers = this._containerWatchers;
+    for (var i = watchers.length - 1; i >= 0; i--) {
+      if (watchers[i].context !== context) continue;
+      if (watchers[i].observer) watchers[i].observer.disconnect();
+      watchers.splice(i, 1);
+    }
+  }
 
-    window.addEventListener('resize', handleResize, false);
-    handleResize();
+  function _queueContainerResize(watcher) {
+    if (this._pendingContainerResizes.indexOf(watcher) < 0) this._pendingContainerResizes.push(watcher);
   }
 
-  Engine.touchMoveEnabled = true;
+  //
+  // Emits the container resizes that happened since the last frame, once per context. This is done before
+  //   the contexts are updated, when no DOM writes of this frame have been flushed yet, so that polling
+  //   the container sizes doesn't force an extra layout.
+  //
+  function _processContainerResizes(currentTime) {
+    var watchers = this._containerWatchers;
+    var i;
+    if (!useResizeObserver && watchers.length &&
+      currentTime - this._lastContainerPoll >= this._options.containerPollInterval) {
+      this._lastContainerPoll = currentTime;
+      for (i = 0; i < watchers.length; i++) {
+        var element = watchers[i].element;
+        if (element.clientWidth !== watchers[i].size[0] || element.clientHeight !== watchers[i].size[1]) {
+          _queueContainerResize.call(this, watchers[i]);
+        }
+      }
+    }
 
-  Engine.getPriorityLevel = function () {
+    var pending = this._pendingContainerResizes;
+    if (!pending.length) return;
+    this._pendingContainerResizes = [];
+    for (i = 0; i < pending.length; i++) {
+      var watcher = pending[i];
+      if (watchers.indexOf(watcher) < 0) continue;
+      watcher.size = [watcher.element.clientWidth, watcher.element.clientHeight];
+      watcher.context.emit('resize', {source: 'container', size: watcher.size});
+    }
+  }
+
+  EngineInstance.prototype.getPriorityLevel = function() {
     return this._priorityLevel;
   };
-  Engine.disableTouchMove = function disableTouchMove() {
+
+  /**
+   * Returns the name of the priority level the Engine currently runs at, as found in Engine.PriorityLevels.
+   *
+   * @method getPriorityLevelName
+   * @return {string} name of the current priority level
+   */
+  EngineInstance.prototype.getPriorityLevelName = function getPriorityLevelName() {
+    return this._qualityPolicy.getLevelName(this._priorityLevel);
+  };
+
+  /**
+   * Returns the policy that decides the priority level, e.g. to tune its smoothing and hysteresis.
+   *
+   * @method getQualityPolicy
+   * @return {QualityPolicy} the quality policy of the Engine
+   */
+  EngineInstance.prototype.getQualityPolicy = function getQualityPolicy() {
+    return this._qualityPolicy;
+  };
+
+  /**
+   * @example
+   *
+   * Engine.registerQualityAdjustment('critical', function() {
+   *   backgroundVideo.pause();
+   * }, function() {
+   *   backgroundVideo.play();
+   * });
+   *
+   * Registers what to give up once the Engine degrades to the given priority level (or a worse one),
+   *   and how to restore it once the Engine recovers. A 'priorityLevelChange' event is emitted whenever
+   *   the level changes. At the critical level, surfaces already drop their shadows, StateModifier
+   *   changes opacity without transitions and physics engines resolve their constraints in a single step.
+   *
+   * @method registerQualityAdjustment
+   * @param {string} levelName name of the level in Engine.PriorityLevels
+   * @param {Function} degrade called when the level is reached
+   * @param {Function} [restore] called when recovering from the level
+   * @return {Object} handle to pass to unregisterQualityAdjustment
+   */
+  EngineInstance.prototype.registerQualityAdjustment = function registerQualityAdjustment(levelName, degrade, restore) {
+    return this._qualityPolicy.registerAdjustment(levelName, degrade, restore);
+  };
+
+  /**
+   * Removes an adjustment registered with registerQualityAdjustment, restoring it if it is applied.
+   *
+   * @method unregisterQualityAdjustment
+   * @param {Object} adjustment handle returned by registerQualityAdjustment
+   */
+  EngineInstance.prototype.unregisterQualityAdjustment = function unregisterQualityAdjustment(adjustment) {
+    this._qualityPolicy.unregisterAdjustment(adjustment);
+  };
+
+  EngineInstance.prototype.disableTouchMove = function disableTouchMove() {
     if (this.touchMoveEnabled) {
       // prevent scrolling via browser
       window.addEventListener('touchmove', function (event) {
@@ -221,22 +556,32 @@ define(function (require, exports, module) {
   };
 
 
+  //
+  // Marks the document while any engine runs at the critical priority level, which turns off the shadows
+  //   of surfaces (see famous.css).
+  //
+  function _setReducedQuality(reduced) {
+    criticalEngines += reduced ? 1 : -1;
+    if (typeof document === 'undefined') return;
+    if (criticalEngines > 0) document.documentElement.classList.add('famous-reduced-quality');
+    else document.documentElement.classList.remove('famous-reduced-quality');
+  }
+
   /**
    * Initialize famous for app mode
    *
-   * @static
    * @private
    * @method initialize
    */
   function initialize() {
-    addRootClasses();
+    addRootClasses.call(this);
   }
 
   var initialized = false;
 
   function addRootClasses() {
     if (!document.body) {
-      Engine.nextTick(addRootClasses);
+      this.nextTick(addRootClasses.bind(this));
       return;
     }
 
@@ -245,7 +590,7 @@ define(function (require, exports, module) {
   }
 
   var canvas;
-  Engine.getCachedCanvas = function() {
+  EngineInstance.prototype.getCachedCanvas = function() {
     if(!canvas){
       canvas = document.createElement('canvas');
       document.createDocumentFragment().appendChild(canvas);
@@ -261,9 +606,9 @@ define(function (require, exports, module) {
    * @param {EventHandler} target event handler target object
    * @return {EventHandler} passed event handler
    */
-  Engine.pipe = function pipe(target) {
-    if (target.subscribe instanceof Function) return target.subscribe(Engine);
-    else return eventHandler.pipe(target);
+  EngineInstance.prototype.pipe = function pipe(target) {
+    if (target.subscribe instanceof Function) return target.subscribe(this);
+    else return this._eventHandler.pipe(target);
   };
 
   /**
@@ -275,33 +620,33 @@ define(function (require, exports, module) {
    * @param {EventHandler} target target handler object
    * @return {EventHandler} provided target
    */
-  Engine.unpipe = function unpipe(target) {
-    if (target.unsubscribe instanceof Function) return target.unsubscribe(Engine);
-    else return eventHandler.unpipe(target);
+  EngineInstance.prototype.unpipe = function unpipe(target) {
+    if (target.unsubscribe instanceof Function) return target.unsubscribe(this);
+    else return this._eventHandler.unpipe(target);
   };
 
   /**
    * Bind a callback function to an event type handled by this object.
    *
-   * @static
    * @method "on"
    *
    * @param {string} type event type key (for example, 'click')
    * @param {function(string, Object)} handler callback
    * @return {EventHandler} this
    */
-  Engine.on = function on(type, handler) {
+  EngineInstance.prototype.on = function on(type, handler) {
+    var eventForwarders = this._eventForwarders;
     if (!(type in eventForwarders)) {
-      eventForwarders[type] = eventHandler.emit.bind(eventHandler, type);
+      eventForwarders[type] = this._eventHandler.emit.bind(this._eventHandler, type);
 
-      addEngineListener(type, eventForwarders[type]);
+      addEngineListener.call(this, type, eventForwarders[type]);
     }
-    return eventHandler.on(type, handler);
+    return this._eventHandler.on(type, handler);
   };
 
   function addEngineListener(type, forwarder) {
     if (!document.body) {
-      Engine.nextTick(addEventListener.bind(this, type, forwarder));
+      this.nextTick(addEngineListener.bind(this, type, forwarder));
       return;
     }
 
@@ -318,35 +663,33 @@ define(function (require, exports, module) {
    * @param {Object} event event data
    * @return {EventHandler} this
    */
-  Engine.emit = function emit(type, event) {
-    return eventHandler.emit(type, event);
+  EngineInstance.prototype.emit = function emit(type, event) {
+    return this._eventHandler.emit(type, event);
   };
 
   /**
    * Unbind an event by type and handler.
    *   This undoes the work of "on".
    *
-   * @static
    * @method removeListener
    *
    * @param {string} type event type key (for example, 'click')
    * @param {function} handler function object to remove
    * @return {EventHandler} internal event handler object (for chaining)
    */
-  Engine.removeListener = function removeListener(type, handler) {
-    return eventHandler.removeListener(type, handler);
+  EngineInstance.prototype.removeListener = function removeListener(type, handler) {
+    return this._eventHandler.removeListener(type, handler);
   };
 
   /**
    * Return the current calculated frames per second of the Engine.
    *
-   * @static
    * @method getFPS
    *
    * @return {Number} calculated fps
    */
-  Engine.getFPS = function getFPS() {
-    return 1000 / frameTime;
+  EngineInstance.prototype.getFPS = function getFPS() {
+    return 1000 / this._frameTime;
   };
 
   /**
@@ -354,31 +697,28 @@ define(function (require, exports, module) {
    *    loop is called at a greater frequency than this FPSCap, Engine will
    *    throttle render and update until this rate is achieved.
    *
-   * @static
    * @method setFPSCap
    *
    * @param {Number} fps maximum frames per second
    */
-  Engine.setFPSCap = function setFPSCap(fps) {
-    frameTimeLimit = Math.floor(1000 / fps);
+  EngineInstance.prototype.setFPSCap = function setFPSCap(fps) {
+    this._frameTimeLimit = Math.floor(1000 / fps);
   };
 
   /**
    * Return engine options.
    *
-   * @static
    * @method getOptions
    * @param {string} key
    * @return {Object} engine options
    */
-  Engine.getOptions = function getOptions(key) {
-    return optionsManager.getOptions(key);
+  EngineInstance.prototype.getOptions = function getOptions(key) {
+    return this._optionsManager.getOptions(key);
   };
 
   /**
    * Set engine options
    *
-   * @static
    * @method setOptions
    *
    * @param {Object} [options] overrides of default options
@@ -386,47 +726,58 @@ define(function (require, exports, module) {
    * @param {boolean} [options.runLoop=true] whether the run loop should continue
    * @param {string} [options.containerType="div"] type of container element.  Defaults to 'div'.
    * @param {string} [options.containerClass="famous-container"] type of container element.  Defaults to 'famous-container'.
+   * @param {boolean} [options.profileFrames=false] whether to profile every frame and emit 'frameStats' events
+   * @param {Number} [options.profileHistoryLength=60] amount of profiled frames to keep in the history
+   * @param {string} [options.resumeMode="continue"] What happens to running animations when the page becomes
+   *    visible after having been hidden. 'continue' compensates for the hidden time so that Transitionables,
+   *    Timer callbacks and physics continue where they stopped, 'fastForward' lets them jump ahead by the hidden
+   *    time, finishing the ones that should have ended. Since all engines share the same clock, the option is
+   *    read from the default engine.
+   * @param {boolean} [options.watchContainers=true] Whether contexts created in a given element watch that
+   *    element for size changes. Container resizes are emitted on the next frame as a 'resize' event on the
+   *    context with {source: 'container'}, whereas window resizes carry {source: 'window'}.
+   * @param {Number} [options.containerPollInterval=250] milliseconds between polls of the container sizes,
+   *    used when ResizeObserver isn't available
+   * @param {Number} [options.deferBudget=10] milliseconds per frame that may be spent on deferred functions
    */
-  Engine.setOptions = function setOptions(options) {
-    return optionsManager.setOptions.apply(optionsManager, arguments);
+  EngineInstance.prototype.setOptions = function setOptions(options) {
+    return this._optionsManager.setOptions.apply(this._optionsManager, arguments);
   };
 
   /**
    * Creates a new Context for rendering and event handling with
    *    provided document element as top of each tree. This will be tracked by the
-   *    process-wide Engine.
+   *    engine. A provided element is watched for size changes, after which the context
+   *    emits 'resize' with {source: 'container'} (see the watchContainers option).
    *
-   * @static
    * @method createContext
    *
    * @param {Node} el will be top of Famo.us document element tree
    * @return {Context} new Context within el
    */
-  Engine.createContext = function createContext(el) {
-
-    this._priorityLevel = Engine.PriorityLevels.critical;
-
-    if (!initialized && options.appMode) Engine.nextTick(initialize.bind(this));
+  EngineInstance.prototype.createContext = function createContext(el) {
+    if (!initialized && this._options.appMode) this.nextTick(initialize.bind(this));
 
     var needMountContainer = false;
     if (!el) {
-      el = document.createElement(options.containerType);
-      el.classList.add(options.containerClass);
+      el = document.createElement(this._options.containerType);
+      el.classList.add(this._options.containerClass);
       needMountContainer = true;
     }
 
     var context = new Context();
     context.setPermanentElementAllocator(new ElementAllocator(el));
-    Engine.registerContext(context);
+    this.registerContext(context);
 
-    if (needMountContainer) mount(context, el);
+    if (needMountContainer) mount.call(this, context, el);
+    else if (this._options.watchContainers) _watchContainer.call(this, context, el);
 
     return context;
   };
 
   function mount(context, el) {
     if (!document.body) {
-      Engine.nextTick(mount.bind(this, context, el));
+      this.nextTick(mount.bind(this, context, el));
       return;
     }
 
@@ -437,80 +788,261 @@ define(function (require, exports, module) {
   /**
    * Registers an existing context to be updated within the run loop.
    *
-   * @static
    * @method registerContext
    *
    * @param {Context} context Context to register
    * @return {FamousContext} provided context
    */
-  Engine.registerContext = function registerContext(context) {
-    contexts.push(context);
+  EngineInstance.prototype.registerContext = function registerContext(context) {
+    this._contexts.push(context);
     return context;
   };
 
   /**
    * Returns a list of all contexts.
    *
-   * @static
    * @method getContexts
    * @return {Array} contexts that are updated on each tick
    */
-  Engine.getContexts = function getContexts() {
-    return contexts;
+  EngineInstance.prototype.getContexts = function getContexts() {
+    return this._contexts;
   };
 
   /**
    * Removes a context from the run loop. Note: this does not do any
    *     cleanup.
    *
-   * @static
    * @method deregisterContext
    *
    * @param {Context} context Context to deregister
    */
-  Engine.deregisterContext = function deregisterContext(context) {
-    var i = contexts.indexOf(context);
-    if (i >= 0) contexts.splice(i, 1);
+  EngineInstance.prototype.deregisterContext = function deregisterContext(context) {
+    var i = this._contexts.indexOf(context);
+    if (i >= 0) this._contexts.splice(i, 1);
+    _unwatchContainer.call(this, context);
   };
 
   /**
    * Queue a function to be executed on the next tick of the
    *    Engine.
    *
-   * @static
    * @method nextTick
    *
-   * @param {function(Object)} fn function accepting window object
+   * @param {function(Number)} fn function accepting the current frame number
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0] tasks with a higher priority run first
+   * @param {string} [options.group] name of a group of tasks, see flushGroup and dropGroup
+   * @return {ScheduledTask} handle of the task, which can be cancelled
    */
-  Engine.nextTick = function nextTick(fn) {
-    nextTickQueue.push(fn);
+  EngineInstance.prototype.nextTick = function nextTick(fn, options) {
+    return _enqueue(this._nextTickQueue, new ScheduledTask(fn, options));
   };
 
-  Engine.now = getTime;
+  EngineInstance.prototype.now = getTime;
+
+  /**
+   * Replaces the time source of the Engine (and of everything else that reads time through the Clock,
+   *    like Transitionables, Timer and the PhysicsEngine). Passing nothing restores the default.
+   *    The clock is shared by all engines.
+   *
+   * @method setClock
+   *
+   * @param {Function} [timeSource] function returning the current time in milliseconds
+   */
+  EngineInstance.prototype.setClock = function setClock(timeSource) {
+    Clock.setTimeSource(timeSource);
+    _resetFrameTimes();
+  };
+
+  /**
+   * Switches the Engine to virtual time, so that frames can be stepped deterministically with
+   *    Engine.advance(). Combine with the runLoop option set to false to stop the requestAnimationFrame loop.
+   *
+   * @method useVirtualClock
+   *
+   * @param {Number} [startTime] the virtual time to start at. Defaults to the current time.
+   */
+  EngineInstance.prototype.useVirtualClock = function useVirtualClock(startTime) {
+    Clock.useVirtualTime(startTime);
+    _resetFrameTimes();
+  };
+
+  /* Makes every engine measure its next frame from the current time of the clock */
+  function _resetFrameTimes() {
+    for (var i = 0; i < engines.length; i++) engines[i]._lastTime = getTime();
+  }
+
+  /**
+   * Advances the virtual clock by the given amount of time, spread evenly over the given amount
+   *    of frames. step() is called once for every frame.
+   *
+   * @method advance
+   *
+   * @param {Number} milliseconds total amount of time to advance
+   * @param {Number} [frames] number of frames to run. Defaults to 1.
+   */
+  EngineInstance.prototype.advance = function advance(milliseconds, frames) {
+    if (!Clock.isVirtual()) {
+      throw new Error('Engine.advance() requires a virtual clock. Call Engine.useVirtualClock() first.');
+    }
+    frames = frames || 1;
+    for (var i = 0; i < frames; i++) {
+      Clock.advance(milliseconds / frames);
+      this.step();
+    }
+  };
 
   /**
    * Queue a function to be executed sometime soon, at a time that is
    *    unlikely to affect frame rate.
    *
-   * @static
+   *    The time spent on deferred functions per frame is limited by the deferBudget option, except in
+   *    virtual time. A function deferred from a deferred function runs on a later frame.
+   *
    * @method defer
    *
    * @param {Function} fn
+   * @param {Object} [options]
+   * @param {Number} [options.priority=0] tasks with a higher priority run first
+   * @param {string} [options.group] name of a group of tasks, see flushGroup and dropGroup
+   * @return {ScheduledTask} handle of the task, which can be cancelled
    */
-  Engine.defer = function defer(fn) {
-    deferQueue.push(fn);
+  EngineInstance.prototype.defer = function defer(fn, options) {
+    return _enqueue(this._deferQueue, new ScheduledTask(fn, options));
   };
 
-  optionsManager.on('change', function (data) {
-    if (data.id === 'fpsCap') Engine.setFPSCap(data.value);
+  /**
+   * Cancels a task queued through nextTick or defer.
+   *
+   * @method cancel
+   *
+   * @param {ScheduledTask} task handle returned by nextTick or defer
+   * @return {boolean} true if the task was pending
+   */
+  EngineInstance.prototype.cancel = function cancel(task) {
+    return task ? task.cancel() : false;
+  };
+
+  /**
+   * Immediately runs all pending tasks of a group, the nextTick tasks before the deferred ones.
+   *
+   * @method flushGroup
+   *
+   * @param {string} group name of the group
+   * @return {Number} amount of tasks that were run
+   */
+  EngineInstance.prototype.flushGroup = function flushGroup(group) {
+    var ticks = _takeGroup(this._currentTickQueue, group).concat(_takeGroup(this._nextTickQueue, group));
+    var deferred = _takeGroup(this._deferQueue, group);
+    var i;
+    for (i = 0; i < ticks.length; i++) {
+      if (ticks[i].isPending()) _runTask(ticks[i], undefined, this._currentFrame);
+    }
+    for (i = 0; i < deferred.length; i++) {
+      if (deferred[i].isPending()) _runTask(deferred[i], this);
+    }
+    return ticks.length + deferred.length;
+  };
+
+  /**
+   * Cancels all pending tasks of a group, e.g. when the view that queued them is torn down.
+   *
+   * @method dropGroup
+   *
+   * @param {string} group name of the group
+   * @return {Number} amount of tasks that were cancelled
+   */
+  EngineInstance.prototype.dropGroup = function dropGroup(group) {
+    var tasks = _takeGroup(this._currentTickQueue, group)
+      .concat(_takeGroup(this._nextTickQueue, group), _takeGroup(this._deferQueue, group));
+    for (var i = 0; i < tasks.length; i++) tasks[i].cancel();
+    return tasks.length;
+  };
+
+  /**
+   * Stops the run loop of this engine for good and removes it from the window. Contexts are not cleaned up.
+   *
+   * @method destroy
+   */
+  EngineInstance.prototype.destroy = function destroy() {
+    this.setOptions({runLoop: false});
+    if (typeof window !== 'undefined') window.removeEventListener('resize', this._handleResize, false);
+    for (var i = 0; i < this._contexts.length; i++) _unwatchContainer.call(this, this._contexts[i]);
+    for (var type in this._eventForwarders) {
+      if (document.body) document.body.removeEventListener(type, this._eventForwarders[type]);
+    }
+    this._eventForwarders = {};
+    Accessibility.releaseReadingOrder(this);
+    /* Restores the quality of the document if this engine degraded it */
+    this._qualityPolicy.unregisterAdjustment(this._reducedQualityAdjustment);
+    var index = engines.indexOf(this);
+    if (index >= 0) engines.splice(index, 1);
+  };
+
+  function _onOptionChange(data) {
+    if (data.id === 'fpsCap') this.setFPSCap(data.value);
+    else if (data.id === 'profileHistoryLength') {
+      var history = this._frameStatsHistory;
+      if (history.length > data.value) history.splice(0, history.length - data.value);
+    }
     else if (data.id === 'runLoop') {
       // kick off the loop only if it was stopped
-      if (!loopEnabled && data.value) {
-        loopEnabled = true;
-        window.requestAnimationFrame(loop);
+      if (!this._loopEnabled && data.value) {
+        this._loopEnabled = true;
+        window.requestAnimationFrame(this._loop);
       }
     }
-  });
+  }
+
+  var Engine = new EngineInstance(undefined, DOMBuffer.getDefaultBuffer());
+
+  //
+  // Pauses the clock while the page is hidden, since requestAnimationFrame doesn't fire then, and the
+  //   first frame after becoming visible would otherwise see a huge time delta.
+  //
+  function _handleVisibilityChange() {
+    var i;
+    if (document.hidden) {
+      Clock.pause();
+      for (i = 0; i < engines.length; i++) engines[i]._eventHandler.emit('pause');
+    }
+    else {
+      var resumeMode = Engine.getOptions('resumeMode');
+      var pausedTime = Clock.resume(resumeMode !== 'fastForward');
+      _resetFrameTimes();
+      for (i = 0; i < engines.length; i++) {
+        engines[i]._eventHandler.emit('resume', {pausedTime: pausedTime, resumeMode: resumeMode});
+      }
+    }
+  }
+
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', _handleVisibilityChange, false);
+  }
+
+  /**
+   * Creates a new engine, isolated from the default engine and from other engines.
+   *    It has its own contexts, run loop, options, event handler and DOMBuffer,
+   *    and exposes the same API as the default engine.
+   *
+   * @static
+   * @method createEngine
+   *
+   * @param {Object} [options] engine options, see setOptions
+   * @return {EngineInstance} new engine
+   */
+  Engine.createEngine = function createEngine(options) {
+    return new EngineInstance(options);
+  };
+
+  /**
+   * @static
+   * @method getEngines
+   * @return {Array} all engines, the default engine being the first
+   */
+  Engine.getEngines = function getEngines() {
+    return engines.slice();
+  };
 
   module.exports = Engine;
 });
@@ -0,0 +1,396 @@
+define(function(require, exports, module) {
+  var EventHandler = require('./EventHandler');
+  var Entity = require('./Entity');
+  var KeyCodes = require('../utilities/KeyCodes');
+
+  /**
+   * Singleton that moves the focus between focusable surfaces (see Surface.setFocusable) with the arrow keys of a
+   *   keyboard or remote control. Pressing an arrow key focuses the nearest focusable surface in that direction,
+   *   based on the positions at which the surfaces are currently rendered. Enter activates (clicks) the focused
+   *   surface.
+   *
+   *   Surfaces can be put in focus groups. When the focus moves into a group, the surface of that group that was
+   *   focused last gets the focus back, instead of the nearest one (e.g. when moving between the rows of a TV
+   *   interface). A group can also be used as a trap: while trapped, the focus can't leave the group, which is used
+   *   by modals (see the trapFocus option of Lightbox). Releasing the trap restores the focus to where it was.
+   *
+   *   Emits 'focus' and 'blur' events with {surface, previous}, besides the native focus and blur events on the
+   *   elements of the surfaces.
+   *
+   * @example
+   *
+   * FocusManager.enable();
+   * menuItem.setFocusable(true);
+   * FocusManager.on('focus', function(event) { ... });
+   *
+   * @static
+   * @class FocusManager
+   */
+  var FocusManager = {};
+
+  var eventOutput = new EventHandler();
+  EventHandler.setOutputHandler(FocusManager, eventOutput);
+
+  var Direction = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    UP: 'up',
+    DOWN: 'down'
+  };
+  FocusManager.Direction = Direction;
+
+  var keyDirections = {};
+  keyDirections[KeyCodes.LEFT_ARROW] = Direction.LEFT;
+  keyDirections[KeyCodes.RIGHT_ARROW] = Direction.RIGHT;
+  keyDirections[KeyCodes.UP_ARROW] = Direction.UP;
+  keyDirections[KeyCodes.DOWN_ARROW] = Direction.DOWN;
+
+  /* Weight of the distance perpendicular to the direction of navigation, so that aligned surfaces are preferred */
+  var ORTHOGONAL_WEIGHT = 2;
+
+  /* The focusable surfaces that are currently rendered */
+  var focusables = [];
+  var focused = null;
+  var traps = [];
+  var enabled = false;
+
+  /**
+   * A set of focusable surfaces, which remembers which of them was focused last. A surface belongs to at most one
+   *   group that it was added to. Groups that are filled from a render spec (e.g. for a trap) don't claim their
+   *   members, so they can be used besides the groups the members were added to.
+   *
+   * @class FocusGroup
+   * @constructor
+   * @private
+   * @param {Object} [options]
+   * @param {Boolean} [options.rememberFocus=true] whether entering the group restores the last focused surface
+   */
+  function FocusGroup(options) {
+    this.rememberFocus = !(options && options.rememberFocus === false);
+    this._members = [];
+    this._lastFocused = null;
+  }
+
+  /**
+   * @method add
+   * @param {Surface} surface
+   */
+  FocusGroup.prototype.add = function add(surface) {
+    if (this._members.indexOf(surface) < 0) this._members.push(surface);
+    if (surface._focusGroup && surface._focusGroup !== this) surface._focusGroup.remove(surface);
+    surface._focusGroup = this;
+    _onGroupChange(this);
+  };
+
+  /**
+   * @method remove
+   * @param {Surface} surface
+   */
+  FocusGroup.prototype.remove = function remove(surface) {
+    var index = this._members.indexOf(surface);
+    if (index >= 0) this._members.splice(index, 1);
+    if (this._lastFocused === surface) this._lastFocused = null;
+    if (surface._focusGroup === this) surface._focusGroup = null;
+  };
+
+  /**
+   * @method contains
+   * @param {Surface} surface
+   * @return {Boolean} whether the surface is a member of the group
+   */
+  FocusGroup.prototype.contains = function contains(surface) {
+    return this._members.indexOf(surface) >= 0;
+  };
+
+  /**
+   * Makes the focusable surfaces in a render spec the members of the group.
+   *
+   * @method setFromRenderSpec
+   * @param {Object} spec render spec, as returned by render()
+   */
+  FocusGroup.prototype.setFromRenderSpec = function setFromRenderSpec(spec) {
+    var members = [];
+    _collectFocusables(spec, members);
+    this._members = members;
+    if (this._lastFocused && members.indexOf(this._lastFocused) < 0) this._lastFocused = null;
+    /* Members are only rendered after their first render spec, so a trap may only be able to take the focus later */
+    _onGroupChange(this);
+  };
+
+  function _collectFocusables(spec, result) {
+    if (typeof spec === 'number') {
+      var entity = Entity.get(spec);
+      if (entity && entity.isFocusable && entity.isFocusable()) result.push(entity);
+    }
+    else if (spec instanceof Array) {
+      for (var i = 0; i < spec.length; i++) _collectFocusables(spec[i], result);
+    }
+    else if (spec && spec.target !== undefined) _collectFocusables(spec.target, result);
+  }
+
+  // Moves the focus into the innermost trap once it has members that can be focused
+  function _onGroupChange(group) {
+    var trap = traps[traps.length - 1];
+    if (!trap || trap.group !== group || (focused && group.contains(focused))) return;
+    for (var i = 0; i < group._members.length; i++) {
+      if (_getElement(group._members[i])) {
+        FocusManager.focus(group._members[i]);
+        return;
+      }
+    }
+  }
+
+  function _getElement(surface) {
+    return surface._currentTarget || null;
+  }
+
+  function _getGroup(surface) {
+    return surface._focusGroup || null;
+  }
+
+  // Returns the rectangle at which a surface was last committed, or null if it isn't visible. This uses the
+  //  positions tracked by ElementOutput, so that navigating doesn't force a layout.
+  function _getRect(surface) {
+    var position = surface._screenPosition;
+    var size = surface._size;
+    if (!_getElement(surface) || !position || !size || surface._invisible || !surface._matrix) return null;
+    var width = (typeof size[0] === 'number') ? size[0] : 0;
+    var height = (typeof size[1] === 'number') ? size[1] : 0;
+    if (!width && !height) return null;
+    return {
+      left: position[0],
+      top: position[1],
+      right: position[0] + width,
+      bottom: position[1] + height,
+      width: width,
+      height: height
+    };
+  }
+
+  function _isCandidate(surface) {
+    var trap = traps[traps.length - 1];
+    return !trap || trap.group.contains(surface);
+  }
+
+  // Returns the distance from one rectangle to another in a direction, or -1 if it isn't in that direction
+  function _getDistance(from, to, direction) {
+    var primary;
+    var fromStart;
+    var fromEnd;
+    var toStart;
+    var toEnd;
+    if (direction === Direction.LEFT || direction === Direction.RIGHT) {
+      primary = (direction === Direction.RIGHT) ? to.left - from.right : from.left - to.right;
+      if ((direction === Direction.RIGHT) ? to.left + to.width / 2 <= from.left + from.width / 2 :
+          to.left + to.width / 2 >= from.left + from.width / 2) return -1;
+      fromStart = from.top;
+      fromEnd = from.bottom;
+      toStart = to.top;
+      toEnd = to.bottom;
+    }
+    else {
+      primary = (direction === Direction.DOWN) ? to.top - from.bottom : from.top - to.bottom;
+      if ((direction === Direction.DOWN) ? to.top + to.height / 2 <= from.top + from.height / 2 :
+          to.top + to.height / 2 >= from.top + from.height / 2) return -1;
+      fromStart = from.left;
+      fromEnd = from.right;
+      toStart = to.left;
+      toEnd = to.right;
+    }
+    var orthogonal = Math.max(0, toStart - fromEnd, fromStart - toEnd);
+    return Math.max(0, primary) + ORTHOGONAL_WEIGHT * orthogonal;
+  }
+
+  /**
+   * Starts listening to the arrow keys and Enter.
+   *
+   * @static
+   * @method enable
+   */
+  FocusManager.enable = function enable() {
+    if (enabled) return;
+    enabled = true;
+    window.addEventListener('keydown', _onKeyDown);
+    document.addEventListener('focusin', _onFocusIn);
+  };
+
+  /**
+   * Stops listening to the keyboard.
+   *
+   * @static
+   * @method disable
+   */
+  FocusManager.disable = function disable() {
+    if (!enabled) return;
+    enabled = false;
+    window.removeEventListener('keydown', _onKeyDown);
+    document.removeEventListener('focusin', _onFocusIn);
+  };
+
+  function _onKeyDown(event) {
+    var direction = keyDirections[event.keyCode];
+    /* Left and right move the caret inside text fields */
+    var isTextField = event.target && /^(INPUT|TEXTAREA)$/.test(event.target.nodeName);
+    if (isTextField && (direction === Direction.LEFT || direction === Direction.RIGHT)) return;
+    if (direction) {
+      if (FocusManager.move(direction)) event.preventDefault();
+    }
+    else if (event.keyCode === KeyCodes.ENTER && focused && _getElement(focused)) {
+      event.preventDefault();
+      _getElement(focused).click();
+    }
+  }
+
+  // Keeps track of focus changes that weren't done by the manager, e.g. by clicking or tabbing
+  function _onFocusIn(event) {
+    for (var i = 0; i < focusables.length; i++) {
+      if (_getElement(focusables[i]) === event.target) {
+        if (focusables[i] !== focused) _setFocused(focusables[i]);
+        return;
+      }
+    }
+  }
+
+  function _setFocused(surface) {
+    var previous = focused;
+    focused = surface;
+    var group = surface && _getGroup(surface);
+    if (group) group._lastFocused = surface;
+    if (previous) eventOutput.emit('blur', {surface: previous, next: surface});
+    if (surface) eventOutput.emit('focus', {surface: surface, previous: previous});
+  }
+
+  /**
+   * Registers a focusable surface while it is rendered. Called by Surface.
+   *
+   * @static
+   * @private
+   * @method register
+   * @param {Surface} surface
+   */
+  FocusManager.register = function register(surface) {
+    if (focusables.indexOf(surface) < 0) focusables.push(surface);
+  };
+
+  /**
+   * Unregisters a focusable surface, when it isn't focusable or rendered any longer. If it has the focus, it
+   *   loses it. Called by Surface.
+   *
+   * @static
+   * @private
+   * @method unregister
+   * @param {Surface} surface
+   */
+  FocusManager.unregister = function unregister(surface) {
+    var index = focusables.indexOf(surface);
+    if (index >= 0) focusables.splice(index, 1);
+    if (focused === surface) _setFocused(null);
+  };
+
+  /**
+   * Focuses a surface.
+   *
+   * @static
+   * @method focus
+   * @param {Surface} surface focusable surface that is currently rendered
+   * @return {Boolean} whether the surface got the focus
+   */
+  FocusManager.focus = function focus(surface) {
+    var element = surface && _getElement(surface);
+    if (!element || focusables.indexOf(surface) < 0 || !_isCandidate(surface)) return false;
+    if (surface !== focused) _setFocused(surface);
+    if (element.focus && document.activeElement !== element) element.focus();
+    return true;
+  };
+
+  /**
+   * @static
+   * @method getFocused
+   * @return {Surface} the surface that has the focus, or null
+   */
+  FocusManager.getFocused = function getFocused() {
+    return focused;
+  };
+
+  /**
+   * Moves the focus to the nearest focusable surface in a direction. If no surface has the focus, the surface
+   *   closest to the top left is focused.
+   *
+   * @static
+   * @method move
+   * @param {String} direction one of FocusManager.Direction
+   * @return {Boolean} whether the focus moved
+   */
+  FocusManager.move = function move(direction) {
+    var fromRect = focused && _getRect(focused);
+    var best = null;
+    var bestDistance = Infinity;
+    for (var i = 0; i < focusables.length; i++) {
+      var surface = focusables[i];
+      if (surface === focused || !_isCandidate(surface)) continue;
+      var rect = _getRect(surface);
+      if (!rect) continue;
+      var distance = fromRect ? _getDistance(fromRect, rect, direction) : rect.top + rect.left;
+      if (distance >= 0 && distance < bestDistance) {
+        best = surface;
+        bestDistance = distance;
+      }
+    }
+    if (!best) return false;
+
+    /* Entering another group restores the surface that was focused last in it */
+    var group = _getGroup(best);
+    if (group && group.rememberFocus && group._lastFocused && group._lastFocused !== focused &&
+        (!focused || _getGroup(focused) !== group) && _getRect(group._lastFocused)) {
+      best = group._lastFocused;
+    }
+    return FocusManager.focus(best);
+  };
+
+  /**
+   * Creates a focus group.
+   *
+   * @static
+   * @method createGroup
+   * @param {Object} [options]
+   * @param {Boolean} [options.rememberFocus=true] whether entering the group restores the last focused surface
+   * @return {FocusGroup} the new group
+   */
+  FocusManager.createGroup = function createGroup(options) {
+    return new FocusGroup(options);
+  };
+
+  /**
+   * Traps the focus inside a group, until releaseTrap is called. The focus moves into the group as soon as
+   *   one of its members is rendered.
+   *
+   * @static
+   * @method trap
+   * @param {FocusGroup} group
+   */
+  FocusManager.trap = function trap(group) {
+    traps.push({group: group, previous: focused});
+    _onGroupChange(group);
+  };
+
+  /**
+   * Releases a trap, restoring the focus to the surface that had it when the trap was set.
+   *
+   * @static
+   * @method releaseTrap
+   * @param {FocusGroup} group
+   */
+  FocusManager.releaseTrap = function releaseTrap(group) {
+    for (var i = traps.length - 1; i >= 0; i--) {
+      if (traps[i].group !== group) continue;
+      var previous = traps[i].previous;
+      traps.splice(i, 1);
+      if (i === traps.length && previous && !FocusManager.focus(previous) && focused && !_isCandidate(focused)) {
+        _setFocused(null);
+      }
+      return;
+    }
+  };
+
+  module.exports = FocusManager;
+});
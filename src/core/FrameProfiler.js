@@ -0,0 +1,112 @@
+define(function(require, exports, module) {
+
+  /**
+   * Singleton that collects statistics about the frame that an Engine is currently running: the duration of every
+   * phase of Engine.step and counters that other parts of the engine increment while the frame is being profiled
+   * (e.g. the amount of surfaces that were committed, deployed or recalled). Profiling is opt-in, see the
+   * profileFrames option of the Engine. When no frame is being profiled, counting is a no-op.
+   *
+   * Durations are always measured in real time, regardless of the time source of the Clock, since they
+   * describe how long the work took rather than how much animation time has passed.
+   *
+   * @static
+   * @private
+   * @class FrameProfiler
+   */
+  var FrameProfiler = {};
+
+  var getRealTime = (typeof window !== 'undefined' && window.performance && window.performance.now) ?
+    function() {
+      return window.performance.now();
+    }
+    : function() {
+      return Date.now();
+    };
+
+  /* The stats of the frame that is being profiled, if any */
+  var currentStats = null;
+  var lastMarkTime = 0;
+
+  /**
+   * Starts profiling a new frame.
+   *
+   * @static
+   * @method beginFrame
+   * @param {Number} frame number of the frame
+   * @param {Number} frameTimeDelta time since the previous frame
+   */
+  FrameProfiler.beginFrame = function beginFrame(frame, frameTimeDelta) {
+    lastMarkTime = getRealTime();
+    currentStats = {
+      frame: frame,
+      frameTimeDelta: frameTimeDelta,
+      startTime: lastMarkTime,
+      duration: 0,
+      phases: {},
+      counts: {
+        domOperations: 0,
+        domOperationsEnqueued: 0,
+        domOperationsCoalesced: 0,
+        domMeasurements: 0,
+        committed: 0,
+        deployed: 0,
+        recalled: 0
+      }
+    };
+  };
+
+  /**
+   * @static
+   * @method isProfiling
+   * @return {Boolean} whether a frame is currently being profiled
+   */
+  FrameProfiler.isProfiling = function isProfiling() {
+    return !!currentStats;
+  };
+
+  /**
+   * Records the end of a phase of the current frame. The duration of the phase is the time since the previous
+   * call to mark (or since the frame began).
+   *
+   * @static
+   * @method mark
+   * @param {String} phase name of the phase that just ended
+   */
+  FrameProfiler.mark = function mark(phase) {
+    if (!currentStats) return;
+    var time = getRealTime();
+    currentStats.phases[phase] = (currentStats.phases[phase] || 0) + time - lastMarkTime;
+    lastMarkTime = time;
+  };
+
+  /**
+   * Increments a counter of the frame that is currently being profiled.
+   *
+   * @static
+   * @method count
+   * @param {String} name name of the counter
+   * @param {Number} [amount] amount to increment with, defaults to 1
+   */
+  FrameProfiler.count = function count(name, amount) {
+    if (!currentStats) return;
+    var counts = currentStats.counts;
+    counts[name] = (counts[name] || 0) + (amount === undefined ? 1 : amount);
+  };
+
+  /**
+   * Finishes the current frame.
+   *
+   * @static
+   * @method endFrame
+   * @return {Object} the stats of the finished frame, or null if the frame wasn't profiled
+   */
+  FrameProfiler.endFrame = function endFrame() {
+    var stats = currentStats;
+    if (!stats) return null;
+    currentStats = null;
+    stats.duration = lastMarkTime - stats.startTime;
+    return stats;
+  };
+
+  module.exports = FrameProfiler;
+});
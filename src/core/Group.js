@@ -132,6 +132,8 @@ define(function (require, exports, module) {
     var size = context.size;
     var result = Surface.prototype.commit.call(this, {
       allocator: context.allocator,
+      renderer: context.renderer,
+      offset: context.offset,
       transform: Transform.thenMove(transform, [-origin[0] * size[0], -origin[1] * size[1], 0]),
       opacity: opacity,
       origin: origin,
@@ -145,6 +147,8 @@ define(function (require, exports, module) {
     /* Executes the commit functions of the children */
     this.context.update({
       allocator: this._allocator,
+      renderer: context.renderer,
+      offset: this._screenPosition,
       transform: Transform.translate(-origin[0] * size[0], -origin[1] * size[1], 0),
       origin: origin,
       hide: context.opacity === 0 || context.hide,
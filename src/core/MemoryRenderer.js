@@ -0,0 +1,113 @@
+define(function(require, exports, module) {
+
+  /**
+   * A renderer that keeps the committed state of every renderable in memory, instead of applying it to the
+   *   document. This makes it possible to assert where the render tree places renderables, e.g. in tests of
+   *   layouts, without reading back (and parsing) the CSS of their elements.
+   *
+   * @example
+   *
+   * var renderer = new MemoryRenderer();
+   * context.setRenderer(renderer);
+   * Engine.step();
+   * renderer.getState(surface); // {opacity: 1, origin: [0, 0], transform: [...], displayed: true, visible: true}
+   *
+   * @class MemoryRenderer
+   * @constructor
+   * @param {Object} [options]
+   * @param {Object} [options.target] renderer to forward the calls to after recording them,
+   *    e.g. DOMRenderer to also update the actual document
+   */
+  function MemoryRenderer(options) {
+    this._target = (options && options.target) || null;
+    this._states = {};
+  }
+
+  function _getState(output) {
+    var state = this._states[output.id];
+    if (!state) {
+      state = {output: output, opacity: 1, origin: null, transform: null, displayed: true, visible: true};
+      this._states[output.id] = state;
+    }
+    return state;
+  }
+
+  function _forward(method, args) {
+    if (this._target) this._target[method].apply(this._target, args);
+  }
+
+  MemoryRenderer.prototype.setOpacity = function setOpacity(output, element, opacity) {
+    var state = _getState.call(this, output);
+    state.opacity = opacity;
+    state.visible = true;
+    _forward.call(this, 'setOpacity', arguments);
+  };
+
+  MemoryRenderer.prototype.setOrigin = function setOrigin(output, element, origin) {
+    _getState.call(this, output).origin = origin ? [origin[0], origin[1]] : null;
+    _forward.call(this, 'setOrigin', arguments);
+  };
+
+  MemoryRenderer.prototype.setTransform = function setTransform(output, element, matrix) {
+    var state = _getState.call(this, output);
+    state.transform = matrix.slice();
+    state.visible = true;
+    _forward.call(this, 'setTransform', arguments);
+  };
+
+  MemoryRenderer.prototype.setInvisible = function setInvisible(output, element) {
+    _getState.call(this, output).visible = false;
+    _forward.call(this, 'setInvisible', arguments);
+  };
+
+  MemoryRenderer.prototype.setDisplayed = function setDisplayed(output, element, displayed) {
+    _getState.call(this, output).displayed = displayed;
+    _forward.call(this, 'setDisplayed', arguments);
+  };
+
+  MemoryRenderer.prototype.release = function release(output, element) {
+    delete this._states[output.id];
+    _forward.call(this, 'release', arguments);
+  };
+
+  /**
+   * Returns the committed state of a renderable.
+   *
+   * @method getState
+   * @param {ElementOutput} output the renderable, e.g. a Surface
+   * @return {Object} opacity, origin, transform (the matrix including the translation of the origin), whether
+   *   the renderable is displayed and whether it is visible, or undefined if it isn't rendered
+   */
+  MemoryRenderer.prototype.getState = function getState(output) {
+    var state = this._states[output.id];
+    if (!state) return undefined;
+    return {
+      opacity: state.opacity,
+      origin: state.origin,
+      transform: state.transform,
+      displayed: state.displayed,
+      visible: state.visible
+    };
+  };
+
+  /**
+   * @method getOutputs
+   * @return {Array.ElementOutput} the renderables that are currently rendered
+   */
+  MemoryRenderer.prototype.getOutputs = function getOutputs() {
+    var result = [];
+    for (var id in this._states) result.push(this._states[id].output);
+    return result;
+  };
+
+  /**
+   * Forgets all recorded state.
+   *
+   * @method clear
+   */
+  MemoryRenderer.prototype.clear = function clear() {
+    this._states = {};
+  };
+
+  module.exports = MemoryRenderer;
+});
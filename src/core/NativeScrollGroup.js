@@ -3,6 +3,7 @@
  */
 define(function (require, exports, module) {
   var Group = require('./Group.js');
+  var DOMBuffer = require('./DOMBuffer');
 
   /**
    * A Context designed to contain surfaces and set properties
@@ -49,16 +50,24 @@ define(function (require, exports, module) {
   };
 
   /**
-   * Hack to force an element redraw that fixes certain bug for elements getting stuck on their current scrollOffset
+   * Hack to force an element redraw that fixes certain bug for elements getting stuck on their current scrollOffset.
+   * The element is hidden, its layout read and shown again at once, after the reads of the next flush, so that it
+   * doesn't interleave with the other reads and isn't painted while hidden.
+   * @param {Function} [callback] called once the element is shown again
    */
-  NativeScrollGroup.prototype.forceScrollOffsetInvalidation = function forceScrollOffsetInvalidation() {
+  NativeScrollGroup.prototype.forceScrollOffsetInvalidation = function forceScrollOffsetInvalidation(callback) {
     var element = this._element;
-    if (element) {
-      var disp = element.style.display;
+    if (!element) {
+      if (callback) callback();
+      return;
+    }
+    DOMBuffer.measure(function() {}, function() {
+      var display = element.style.display;
       element.style.display = 'none';
       var trick = element.offsetHeight;
-      element.style.display = disp;
-    }
+      element.style.display = display;
+      if (callback) callback();
+    });
   };
 
 
@@ -70,6 +79,19 @@ define(function (require, exports, module) {
     return 0;
   };
 
+  /**
+   * Reads the scroll offset in the measure phase of the next flush, without forcing a synchronous layout.
+   * @param {Function} [callback] called with the scroll offset
+   * @returns {Measurement} measurement holding the scroll offset after the next flush
+   */
+  NativeScrollGroup.prototype.measureScrollOffset = function measureScrollOffset(callback) {
+    return DOMBuffer.measure(this.getScrollOffset.bind(this), callback);
+  };
+
+  /**
+   * Returns the maximum scroll offset. Note that reading it synchronously may force a layout,
+   * use measureMaxScrollOffset to read it during the measure phase instead.
+   */
   NativeScrollGroup.prototype.getMaxScrollOffset = function getScrollOffset() {
     var element = this._element;
     if (element) {
@@ -78,6 +100,15 @@ define(function (require, exports, module) {
     return 0;
   };
 
+  /**
+   * Reads the maximum scroll offset in the measure phase of the next flush, without forcing a synchronous layout.
+   * @param {Function} [callback] called with the maximum scroll offset
+   * @returns {Measurement} measurement holding the maximum scroll offset after the next flush
+   */
+  NativeScrollGroup.prototype.measureMaxScrollOffset = function measureMaxScrollOffset(callback) {
+    return DOMBuffer.measure(this.getMaxScrollOffset.bind(this), callback);
+  };
+
   NativeScrollGroup.prototype.scrollToBottom = function getScrollOffset() {
     var element = this._element;
     if (element) {
@@ -0,0 +1,256 @@
+define(function(require, exports, module) {
+  var EventHandler = require('./EventHandler');
+  var OptionsManager = require('./OptionsManager');
+
+  /**
+   * Decides at which priority level the Engine runs, based on the time it takes to render frames.
+   *   The first level is decided from the median of a number of frames, which seeds the exponential moving
+   *   average that later frame times are smoothed with. After that, the level only changes after the
+   *   smoothed frame time stayed across a threshold for a number of frames. Recovering to a better level
+   *   additionally requires the smoothed frame time to be a margin below the threshold (hysteresis), so that
+   *   the level doesn't flicker between frames.
+   *
+   *   The priority levels map a name to a frame time threshold in milliseconds (see Engine.PriorityLevels).
+   *   A frame time below a threshold qualifies for the level of that threshold; the level with the lowest
+   *   qualifying threshold wins. A higher level therefore means a more degraded state.
+   *
+   *   Parts of an application can register adjustments for a level, describing what they give up when the
+   *   policy reaches that level (or a worse one), and how to restore it once the policy recovers.
+   *
+   *   Emits a 'levelChange' event with {level, name, previousLevel, previousName, smoothedFrameTime}.
+   *
+   * @class QualityPolicy
+   * @constructor
+   * @private
+   * @param {Object} levels dictionary of level name => frame time threshold
+   * @param {Object} [options] overrides of the default options
+   */
+  function QualityPolicy(levels, options) {
+    this.levels = levels;
+    this.options = Object.create(QualityPolicy.DEFAULT_OPTIONS);
+    this._optionsManager = new OptionsManager(this.options);
+    if (options) this.setOptions(options);
+
+    this._eventOutput = new EventHandler();
+    EventHandler.setOutputHandler(this, this._eventOutput);
+
+    this._level = undefined;
+    this._smoothedFrameTime = undefined;
+    this._warmupFrameTimes = [];
+    this._pendingLevel = undefined;
+    this._pendingFrames = 0;
+    this._adjustments = [];
+  }
+
+  QualityPolicy.DEFAULT_OPTIONS = {
+    /* Amount of frames whose median decides the first level */
+    warmupFrames: 10,
+    /* Weight of the newest frame time in the moving average, between 0 and 1 */
+    smoothing: 0.1,
+    /* Fraction of the threshold that the smoothed frame time needs to be below before recovering */
+    hysteresis: 0.2,
+    /* Amount of consecutive frames needed before degrading to a worse level */
+    degradeFrames: 5,
+    /* Amount of consecutive frames needed before recovering to a better level */
+    recoverFrames: 30
+  };
+
+  /**
+   * Set the options of the policy.
+   *
+   * @method setOptions
+   * @param {Object} [options]
+   * @param {Number} [options.warmupFrames] frames whose median decides the first level
+   * @param {Number} [options.smoothing] weight of the newest frame time in the moving average
+   * @param {Number} [options.hysteresis] fraction of a threshold to stay below before recovering
+   * @param {Number} [options.degradeFrames] consecutive frames needed to degrade
+   * @param {Number} [options.recoverFrames] consecutive frames needed to recover
+   */
+  QualityPolicy.prototype.setOptions = function setOptions(options) {
+    return this._optionsManager.setOptions(options);
+  };
+
+  // Returns the lowest threshold that the frame time is below, after scaling the thresholds with factor
+  function _getQualifyingLevel(frameTime, factor) {
+    var result = Infinity;
+    for (var name in this.levels) {
+      var threshold = this.levels[name];
+      if (frameTime < threshold * factor && threshold < result) result = threshold;
+    }
+    return result;
+  }
+
+  /**
+   * @method getLevelName
+   * @param {Number} level threshold of a level
+   * @return {String} name of the level, undefined if unknown
+   */
+  QualityPolicy.prototype.getLevelName = function getLevelName(level) {
+    for (var name in this.levels) {
+      if (this.levels[name] === level) return name;
+    }
+    return undefined;
+  };
+
+  function _setLevel(level) {
+    var previousLevel = this._level;
+    this._level = level;
+    this._pendingLevel = undefined;
+    this._pendingFrames = 0;
+
+    var i;
+    var adjustments = this._adjustments.slice();
+    if (previousLevel === undefined || level > previousLevel) {
+      adjustments.sort(function(a, b) {
+        return a.level - b.level;
+      });
+      for (i = 0; i < adjustments.length; i++) {
+        if (!adjustments[i].applied && adjustments[i].level <= level) _applyAdjustment(adjustments[i]);
+      }
+    }
+    else {
+      adjustments.sort(function(a, b) {
+        return b.level - a.level;
+      });
+      for (i = 0; i < adjustments.length; i++) {
+        if (adjustments[i].applied && adjustments[i].level > level) _revertAdjustment(adjustments[i]);
+      }
+    }
+
+    this._eventOutput.emit('levelChange', {
+      level: level,
+      name: this.getLevelName(level),
+      previousLevel: previousLevel,
+      previousName: this.getLevelName(previousLevel),
+      smoothedFrameTime: this._smoothedFrameTime
+    });
+  }
+
+  function _applyAdjustment(adjustment) {
+    adjustment.applied = true;
+    if (adjustment.degrade) adjustment.degrade();
+  }
+
+  function _revertAdjustment(adjustment) {
+    adjustment.applied = false;
+    if (adjustment.restore) adjustment.restore();
+  }
+
+  function _median(values) {
+    var sorted = values.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(sorted.length / 2);
+    return (sorted.length % 2) ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Feeds the time of a frame to the policy, possibly changing the level. The first frames only seed the
+   *   moving average, since a single frame (e.g. the first one after loading) doesn't tell the frame rate.
+   *
+   * @method update
+   * @param {Number} frameTime time since the previous frame in milliseconds
+   * @return {Number} the current level, undefined until the first level is decided
+   */
+  QualityPolicy.prototype.update = function update(frameTime) {
+    if (this._smoothedFrameTime === undefined) {
+      this._warmupFrameTimes.push(frameTime);
+      if (this._warmupFrameTimes.length < this.options.warmupFrames) return this._level;
+      this._smoothedFrameTime = _median(this._warmupFrameTimes);
+      this._warmupFrameTimes = [];
+    }
+    else this._smoothedFrameTime += this.options.smoothing * (frameTime - this._smoothedFrameTime);
+
+    var smoothed = this._smoothedFrameTime;
+    if (this._level === undefined) {
+      _setLevel.call(this, _getQualifyingLevel.call(this, smoothed, 1));
+      return this._level;
+    }
+
+    var candidate = _getQualifyingLevel.call(this, smoothed, 1);
+    var requiredFrames = this.options.degradeFrames;
+    if (candidate < this._level) {
+      candidate = _getQualifyingLevel.call(this, smoothed, 1 - this.options.hysteresis);
+      requiredFrames = this.options.recoverFrames;
+    }
+
+    if (candidate === this._level) {
+      this._pendingLevel = undefined;
+      this._pendingFrames = 0;
+      return this._level;
+    }
+
+    if (candidate !== this._pendingLevel) {
+      this._pendingLevel = candidate;
+      this._pendingFrames = 0;
+    }
+    this._pendingFrames++;
+    if (this._pendingFrames >= requiredFrames) _setLevel.call(this, candidate);
+    return this._level;
+  };
+
+  /**
+   * @method getLevel
+   * @return {Number} threshold of the current level
+   */
+  QualityPolicy.prototype.getLevel = function getLevel() {
+    return this._level;
+  };
+
+  /**
+   * @method getSmoothedFrameTime
+   * @return {Number} the moving average of the frame time, undefined while the first frames are collected
+   */
+  QualityPolicy.prototype.getSmoothedFrameTime = function getSmoothedFrameTime() {
+    return this._smoothedFrameTime;
+  };
+
+  /**
+   * Forces the policy into a level, bypassing smoothing and hysteresis.
+   *
+   * @method setLevel
+   * @param {String} name name of the level
+   */
+  QualityPolicy.prototype.setLevel = function setLevel(name) {
+    if (!(name in this.levels)) throw new Error('Unknown priority level: ' + name);
+    if (this.levels[name] !== this._level) _setLevel.call(this, this.levels[name]);
+  };
+
+  /**
+   * Register what to give up once the policy reaches the given level or a worse one. If the policy already
+   *   is at that level, degrade is called immediately.
+   *
+   * @method registerAdjustment
+   * @param {String} name name of the level
+   * @param {Function} degrade called when reaching the level
+   * @param {Function} [restore] called when recovering to a better level
+   * @return {Object} adjustment that can be passed to unregisterAdjustment
+   */
+  QualityPolicy.prototype.registerAdjustment = function registerAdjustment(name, degrade, restore) {
+    if (!(name in this.levels)) throw new Error('Unknown priority level: ' + name);
+    var adjustment = {
+      level: this.levels[name],
+      degrade: degrade,
+      restore: restore,
+      applied: false
+    };
+    this._adjustments.push(adjustment);
+    if (this._level !== undefined && adjustment.level <= this._level) _applyAdjustment(adjustment);
+    return adjustment;
+  };
+
+  /**
+   * Removes an adjustment. If it is currently applied, it is restored.
+   *
+   * @method unregisterAdjustment
+   * @param {Object} adjustment as returned by registerAdjustment
+   */
+  QualityPolicy.prototype.unregisterAdjustment = function unregisterAdjustment(adjustment) {
+    var index = this._adjustments.indexOf(adjustment);
+    if (index < 0) return;
+    this._adjustments.splice(index, 1);
+    if (adjustment.applied) _revertAdjustment(adjustment);
+  };
+
+  module.exports = QualityPolicy;
+});
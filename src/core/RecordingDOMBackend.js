@@ -0,0 +1,211 @@
+define(function(require, exports, module) {
+
+  /**
+   * A DOMBuffer backend that records every operation into a serializable log, instead of (or besides) executing it.
+   *   The objects that operations are done on are referred to by stable references, numbered in the order they
+   *   are first seen: 'el#12' for elements, 'el#12.style' and 'el#12.classList' for their style and class list,
+   *   'node#3' for other nodes and 'obj#4' for anything else. A style or class list that is seen before its
+   *   element is referred to through its element, if that element is in the document or inside one of the
+   *   recorded elements. This makes it possible to assert exactly which DOM mutations a frame caused, e.g. in
+   *   snapshot tests, without running a browser.
+   *
+   *   Note that the creation of elements isn't recorded, since the ElementAllocator creates them directly. A log
+   *   can therefore only be replayed on elements that already exist, see replay.
+   *
+   * @example
+   *
+   * var recorder = new RecordingDOMBackend();
+   * DOMBuffer.setBackend(recorder);
+   * Engine.step();
+   * recorder.getLines(); // ['appendChild el#1 el#2', 'addToObject el#2.classList famous-surface', ...]
+   *
+   * @class RecordingDOMBackend
+   * @constructor
+   * @param {Object} [options]
+   * @param {Object} [options.target] backend to forward the operations to after recording them,
+   *    e.g. DOMBackend to also update the actual DOM
+   */
+  function RecordingDOMBackend(options) {
+    this._target = (options && options.target) || null;
+    this._log = [];
+    this._references = new Map();
+    this._objects = {};
+    this._elements = [];
+    this._counter = 0;
+  }
+
+  RecordingDOMBackend.OPERATIONS = [
+    'appendChild',
+    'insertBefore',
+    'setAttribute',
+    'removeChild',
+    'removeAttribute',
+    'addToObject',
+    'removeFromObject',
+    'assignProperty',
+    'setStyleProperty',
+    'setAttributeOnDescendants'
+  ];
+
+  function _register(object, reference) {
+    this._references.set(object, reference);
+    this._objects[reference] = object;
+    return reference;
+  }
+
+  // Whether an object looks like the style (a CSSStyleDeclaration) or class list (a DOMTokenList) of an element
+  function _isElementPart(object) {
+    return typeof object.getPropertyValue === 'function' ||
+      (typeof object.toggle === 'function' && typeof object.contains === 'function');
+  }
+
+  // Finds the element that a style or class list belongs to, in the document or inside the recorded elements
+  function _findOwner(part) {
+    var roots = this._elements.slice();
+    if (typeof document !== 'undefined' && document.documentElement) roots.unshift(document.documentElement);
+    for (var i = 0; i < roots.length; i++) {
+      if (roots[i].style === part || roots[i].classList === part) return roots[i];
+      var descendants = roots[i].getElementsByTagName('*');
+      for (var j = 0; j < descendants.length; j++) {
+        if (descendants[j].style === part || descendants[j].classList === part) return descendants[j];
+      }
+    }
+    return null;
+  }
+
+  // Returns the reference of an object, assigning a new one if the object wasn't seen before
+  function _getReference(object) {
+    var reference = this._references.get(object);
+    if (reference) return reference;
+
+    var isNode = typeof Node !== 'undefined' && object instanceof Node;
+    if (isNode && object.nodeType === Node.ELEMENT_NODE) {
+      reference = _register.call(this, object, 'el#' + (++this._counter));
+      this._elements.push(object);
+      /* A part that was seen before without its element keeps its reference */
+      if (object.style && !this._references.has(object.style)) {
+        _register.call(this, object.style, reference + '.style');
+      }
+      if (object.classList && !this._references.has(object.classList)) {
+        _register.call(this, object.classList, reference + '.classList');
+      }
+      return reference;
+    }
+    if (!isNode && _isElementPart(object)) {
+      var owner = _findOwner.call(this, object);
+      if (owner) {
+        _getReference.call(this, owner);
+        return this._references.get(object);
+      }
+    }
+    return _register.call(this, object, (isNode ? 'node#' : 'obj#') + (++this._counter));
+  }
+
+  function _serializeArgument(argument) {
+    if (argument !== null && typeof argument === 'object') return { ref: _getReference.call(this, argument) };
+    return argument;
+  }
+
+  function _formatArgument(argument) {
+    if (argument !== null && typeof argument === 'object') return argument.ref;
+    return String(argument);
+  }
+
+  function _record(operation, args) {
+    var entry = { operation: operation, args: [] };
+    for (var i = 0; i < args.length; i++) entry.args.push(_serializeArgument.call(this, args[i]));
+    this._log.push(entry);
+    if (this._target) this._target[operation].apply(this._target, args);
+  }
+
+  RecordingDOMBackend.OPERATIONS.forEach(function(operation) {
+    RecordingDOMBackend.prototype[operation] = function() {
+      _record.call(this, operation, arguments);
+    };
+  });
+
+  /**
+   * Returns the recorded operations. Every entry has an operation name and a list of arguments, in which
+   *   objects are replaced by {ref: reference}.
+   *
+   * @method getLog
+   * @return {Array} the recorded entries
+   */
+  RecordingDOMBackend.prototype.getLog = function getLog() {
+    return this._log.slice();
+  };
+
+  /**
+   * Returns the recorded operations as readable lines, e.g. 'setAttribute el#12 data-arvaid 5'.
+   *
+   * @method getLines
+   * @return {Array.String} one line per operation
+   */
+  RecordingDOMBackend.prototype.getLines = function getLines() {
+    return this._log.map(RecordingDOMBackend.formatEntry);
+  };
+
+  /**
+   * @method serialize
+   * @return {String} the recorded entries as JSON
+   */
+  RecordingDOMBackend.prototype.serialize = function serialize() {
+    return JSON.stringify(this._log);
+  };
+
+  /**
+   * Returns the object that was recorded under a reference.
+   *
+   * @method resolve
+   * @param {String} reference e.g. 'el#12'
+   * @return {Object} the recorded object
+   */
+  RecordingDOMBackend.prototype.resolve = function resolve(reference) {
+    return this._objects[reference];
+  };
+
+  /**
+   * Empties the log. References keep their numbers.
+   *
+   * @method clear
+   */
+  RecordingDOMBackend.prototype.clear = function clear() {
+    this._log = [];
+  };
+
+  /**
+   * Formats a log entry as a readable line.
+   *
+   * @static
+   * @method formatEntry
+   * @param {Object} entry log entry
+   * @return {String} the formatted line
+   */
+  RecordingDOMBackend.formatEntry = function formatEntry(entry) {
+    return [entry.operation].concat(entry.args.map(_formatArgument)).join(' ');
+  };
+
+  /**
+   * Replays a log into a backend, e.g. DOMBackend to apply it to a real DOM. Since the creation of elements isn't
+   *   recorded, resolve has to provide an existing object for every reference: e.g. the resolve method of the
+   *   recorder to replay onto the original objects, or a lookup of elements that were created up front to replay
+   *   into a fresh DOM.
+   *
+   * @static
+   * @method replay
+   * @param {Array|String} log recorded entries, or their serialization
+   * @param {Object} backend backend to execute the operations on
+   * @param {Function} resolve function returning the object for a reference
+   */
+  RecordingDOMBackend.replay = function replay(log, backend, resolve) {
+    if (typeof log === 'string') log = JSON.parse(log);
+    function resolveArgument(argument) {
+      return (argument !== null && typeof argument === 'object') ? resolve(argument.ref) : argument;
+    }
+    for (var i = 0; i < log.length; i++) {
+      backend[log[i].operation].apply(backend, log[i].args.map(resolveArgument));
+    }
+  };
+
+  module.exports = RecordingDOMBackend;
+});
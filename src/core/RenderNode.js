@@ -109,6 +109,8 @@ define(function(require, exports, module) {
             var childNode = Entity.get(id);
             var commitParams = result[id];
             commitParams.allocator = context.allocator;
+            commitParams.renderer = context.renderer;
+            commitParams.offset = context.offset;
             var commitResult = childNode.commit(commitParams);
             if (commitResult) _applyCommit(commitResult, context, cacheStorage);
             else cacheStorage[id] = commitParams;
@@ -138,6 +140,16 @@ define(function(require, exports, module) {
         _applyCommit(this.render(), context, this._resultCache);
     };
 
+    /**
+     * Returns the ids of the renderables (e.g. surfaces) that were committed by the last commit.
+     *
+     * @method getCommittedIds
+     * @return {Array.string} entity ids, see Entity.get
+     */
+    RenderNode.prototype.getCommittedIds = function getCommittedIds() {
+        return Object.keys(this._resultCache);
+    };
+
     /**
      * Cleans up all current renderables
      * @param context
@@ -0,0 +1,127 @@
+define(function(require, exports, module) {
+  var Context = require('./Context');
+  var ElementAllocator = require('./ElementAllocator');
+  var DOMBuffer = require('./DOMBuffer');
+  var DOMBackend = require('./DOMBackend');
+  var Entity = require('./Entity');
+
+  /**
+   * Singleton that renders a render tree to a static HTML string, without an Engine loop. The tree is committed
+   *   into a detached container through a separate DOMBuffer, so the output contains exactly the elements,
+   *   classes, attributes, content, sizes and matrix3d transforms that SpecParser and ElementOutput produce for a
+   *   live frame. This makes it usable for prerendering screens on the server (given a DOM implementation) and for
+   *   golden-file tests of layouts.
+   *
+   *   The renderables that are snapshotted can't be displayed by a running context at the same time, since a
+   *   surface can only be attached to one element. A source that renders any surface that is already attached
+   *   to an element (e.g. a context or layout that is already displayed) is therefore rejected, before anything
+   *   is committed. After the snapshot, the renderables are cleaned up again, so they can be added to a live
+   *   context afterwards.
+   *
+   * @example
+   *
+   * var html = SnapshotRenderer.renderToString(layout, {size: [320, 480], stripIds: true});
+   *
+   * @static
+   * @class SnapshotRenderer
+   */
+  var SnapshotRenderer = {};
+
+  SnapshotRenderer.DEFAULT_OPTIONS = {
+    /* Size of the root of the render tree. Defaults to the size of the given context */
+    size: undefined,
+    /* Amount of frames to commit before serializing, for layouts that need a frame to settle (e.g. true sizes) */
+    frames: 1,
+    /* Whether to leave out the data-arvaid attributes, which depend on the order in which renderables were created */
+    stripIds: false
+  };
+
+  /**
+   * Renders a context or renderable to an HTML string.
+   *
+   * @static
+   * @method renderToString
+   * @param {Context|Object} source context, render node or renderable to render
+   * @param {Object} [options] overrides of SnapshotRenderer.DEFAULT_OPTIONS
+   * @param {Array.Number} [options.size] [width, height] of the root, required if the source isn't a Context
+   * @param {Number} [options.frames=1] amount of frames to commit before serializing
+   * @param {Boolean} [options.stripIds=false] whether to leave out the data-arvaid attributes
+   * @return {String} the HTML of the rendered elements
+   */
+  SnapshotRenderer.renderToString = function renderToString(source, options) {
+    options = _resolveOptions(options);
+    var container = document.createElement('div');
+    var allocator = new ElementAllocator(container);
+    var buffer = DOMBuffer.createBuffer();
+    buffer.setBackend(DOMBackend);
+
+    var isRendered = true;
+    var target = (source instanceof Context) ? source._node : source;
+    var context = new Context();
+    context.add({
+      render: function() {
+        if (!isRendered) return null;
+        var spec = target.render();
+        if (_isAttached(spec)) {
+          throw new Error('SnapshotRenderer cannot render surfaces that are already rendered, since they are ' +
+            'attached to the document');
+        }
+        return spec;
+      }
+    });
+    context.setSize(options.size || (source instanceof Context ? source.getSize() : [0, 0]));
+    context.setPermanentElementAllocator(allocator);
+
+    var previousBuffer = DOMBuffer.setActiveBuffer(buffer);
+    try {
+      for (var i = 0; i < options.frames; i++) {
+        context.update();
+        buffer.flushUpdates();
+      }
+      var html = _serialize(container, options);
+
+      /* Release the renderables: an empty frame frees everything but the last results, which cleanup frees */
+      isRendered = false;
+      context.update();
+      context.cleanup(allocator);
+      buffer.flushUpdates();
+      return html;
+    }
+    finally {
+      DOMBuffer.setActiveBuffer(previousBuffer);
+    }
+  };
+
+  // Whether a render spec contains a surface that is attached to an element
+  function _isAttached(spec) {
+    if (typeof spec === 'number') {
+      var entity = Entity.get(spec);
+      return !!(entity && entity._currentTarget);
+    }
+    if (spec instanceof Array) {
+      for (var i = 0; i < spec.length; i++) {
+        if (_isAttached(spec[i])) return true;
+      }
+      return false;
+    }
+    return !!(spec && spec.target !== undefined && _isAttached(spec.target));
+  }
+
+  function _resolveOptions(options) {
+    var result = {};
+    for (var key in SnapshotRenderer.DEFAULT_OPTIONS) {
+      result[key] = (options && options[key] !== undefined) ? options[key] : SnapshotRenderer.DEFAULT_OPTIONS[key];
+    }
+    return result;
+  }
+
+  function _serialize(container, options) {
+    if (!options.stripIds) return container.innerHTML;
+    var copy = container.cloneNode(true);
+    var elements = copy.querySelectorAll('[data-arvaid]');
+    for (var i = 0; i < elements.length; i++) elements[i].removeAttribute('data-arvaid');
+    return copy.innerHTML;
+  }
+
+  module.exports = SnapshotRenderer;
+});
@@ -10,6 +10,9 @@
 define(function (require, exports, module) {
   var ElementOutput = require('./ElementOutput');
   var DOMBuffer = require('./DOMBuffer');
+  var FrameProfiler = require('./FrameProfiler');
+  var ContentTemplate = require('./ContentTemplate');
+  var FocusManager = require('./FocusManager');
 
   /**
    * A base class for viewable content and event
@@ -26,6 +29,11 @@ define(function (require, exports, module) {
    * @param {Array} [options.properties] string dictionary of CSS properties to set on target div
    * @param {Array} [options.attributes] string dictionary of HTML attributes to set on target div
    * @param {string} [options.content] inner (HTML) content of surface
+   * @param {string} [options.template] HTML template with {{expressions}} to bind the content to, see setTemplate
+   * @param {Object} [options.model] model to bind the template to
+   * @param {string} [options.role] ARIA role of target div
+   * @param {Object} [options.aria] dictionary of ARIA states and properties, see setAria
+   * @param {boolean} [options.focusable] whether the surface can get the focus, see setFocusable
    */
   function Surface(options) {
     ElementOutput.call(this);
@@ -35,6 +43,7 @@ define(function (require, exports, module) {
     this.properties = {};
     this.attributes = {};
     this.content = '';
+    this._boundContent = null;
     this.classList = [];
     this.size = null;
 
@@ -44,9 +53,16 @@ define(function (require, exports, module) {
     this._sizeDirty = true;
     this._contentDirty = true;
     this._trueSizeCheck = true;
+    this._trueSizeBasis = null;
+    this._measuredSize = null;
+    this._pendingMeasurement = null;
 
     this._dirtyClasses = [];
     this._dirtyAttributes = [];
+    this._dirtyProperties = {};
+    /* The values of the properties as last written to the document element, to find the ones that changed */
+    this._writtenProperties = {};
+    this._focusable = false;
 
     if (options) this.setOptions(options);
     this.options = options || {};
@@ -104,9 +120,101 @@ define(function (require, exports, module) {
     this._attributesDirty = true;
   };
 
+  // Sets a single property, marking it dirty if its value differs from the one written to the document. This
+  //  doesn't compare with this.properties, since that object is returned by getProperties and may be modified
+  //  before it is passed back to setProperties. A value of null or undefined removes the property.
+  function _setProperty(name, value) {
+    var removed = value === null || value === undefined;
+    if (removed) delete this.properties[name];
+    else this.properties[name] = value;
+    if (removed ? !(name in this._writtenProperties) : this._writtenProperties[name] === value) return;
+    this._dirtyProperties[name] = true;
+    this._stylesDirty = true;
+  }
+
   /**
-   * Set CSS-style properties on this Surface. Note that this will cause
-   *    dirtying and thus re-rendering, even if values do not change.
+   * Set the ARIA role of this Surface, which tells assistive technology what the surface represents
+   *    (e.g. 'button' or 'heading'). A role of null removes it.
+   *
+   * @method setRole
+   * @chainable
+   * @param {string} role ARIA role
+   */
+  Surface.prototype.setRole = function setRole(role) {
+    if (role === null || role === undefined) {
+      if ('role' in this.attributes) this.removeAttributes(['role']);
+    }
+    else this.setAttributes({role: role});
+    return this;
+  };
+
+  /**
+   * Set ARIA states and properties on this Surface. The names are given without the 'aria-' prefix,
+   *    e.g. {label: 'Close', pressed: true}. A value of null removes the attribute.
+   *
+   * @method setAria
+   * @chainable
+   * @param {Object} aria dictionary of "name" => "value"
+   */
+  Surface.prototype.setAria = function setAria(aria) {
+    var attributes = {};
+    var removed = [];
+    for (var name in aria) {
+      if (aria[name] === null || aria[name] === undefined) {
+        if (('aria-' + name) in this.attributes) removed.push('aria-' + name);
+      }
+      else attributes['aria-' + name] = String(aria[name]);
+    }
+    if (removed.length) this.removeAttributes(removed);
+    this.setAttributes(attributes);
+    return this;
+  };
+
+  /**
+   * Make this Surface a live region, so that changes of its content are read by screen readers.
+   *
+   * @method setLiveRegion
+   * @chainable
+   * @param {string} politeness 'polite' to wait until the user is idle, 'assertive' to interrupt,
+   *    or null to stop being a live region
+   */
+  Surface.prototype.setLiveRegion = function setLiveRegion(politeness) {
+    return this.setAria({live: politeness, atomic: politeness ? true : null});
+  };
+
+  /**
+   * Make this Surface focusable, both for the Tab key and for the arrow key navigation of the FocusManager.
+   *   The FocusManager only knows the surface while it is rendered.
+   *
+   * @method setFocusable
+   * @chainable
+   * @param {boolean} focusable
+   */
+  Surface.prototype.setFocusable = function setFocusable(focusable) {
+    this._focusable = !!focusable;
+    if (focusable) {
+      this.setAttributes({tabindex: 0});
+      if (this._currentTarget) FocusManager.register(this);
+    }
+    else {
+      if ('tabindex' in this.attributes) this.removeAttributes(['tabindex']);
+      FocusManager.unregister(this);
+    }
+    return this;
+  };
+
+  /**
+   * @method isFocusable
+   * @return {boolean} whether the surface was made focusable with setFocusable
+   */
+  Surface.prototype.isFocusable = function isFocusable() {
+    return this._focusable;
+  };
+
+  /**
+   * Set CSS-style properties on this Surface. Only the properties whose value changed are written to the
+   *    document on the next commit. Setting a property to null removes it. CSS custom properties
+   *    (e.g. '--main-color') are supported as well.
    *
    * @method setProperties
    * @chainable
@@ -114,14 +222,33 @@ define(function (require, exports, module) {
    */
   Surface.prototype.setProperties = function setProperties(properties) {
     for (var n in properties) {
-      this.properties[n] = properties[n];
+      _setProperty.call(this, n, properties[n]);
     }
-    this._stylesDirty = true;
     return this;
   };
 
   /**
-   * Get CSS-style properties on this Surface.
+   * Replace all CSS-style properties of this Surface with the given ones. Properties that aren't given are
+   *    removed, and only the properties that actually changed are written to the document.
+   *
+   * @method replaceProperties
+   * @chainable
+   * @param {Object} properties property dictionary of "key" => "value"
+   */
+  Surface.prototype.replaceProperties = function replaceProperties(properties) {
+    var name;
+    for (name in this.properties) {
+      if (!properties || !(name in properties)) _setProperty.call(this, name, null);
+    }
+    for (name in this._writtenProperties) {
+      if (!properties || !(name in properties)) _setProperty.call(this, name, null);
+    }
+    return this.setProperties(properties);
+  };
+
+  /**
+   * Get CSS-style properties on this Surface. Changes to the returned dictionary are written to the document
+   *    once it is passed back to setProperties.
    *
    * @method getProperties
    *
@@ -221,6 +348,10 @@ define(function (require, exports, module) {
    * @param {string|Document Fragment} content HTML content
    */
   Surface.prototype.setContent = function setContent(content) {
+    if (this._boundContent) {
+      this._boundContent = null;
+      this._contentDirty = true;
+    }
     if (this.content !== content) {
       this.content = content;
       this._contentDirty = true;
@@ -239,6 +370,62 @@ define(function (require, exports, module) {
     return this.content;
   };
 
+  /**
+   * Bind the content of this surface to a model through a template with {{expressions}} in its text and
+   *    attribute values, e.g. '<span class="{{status}}">{{user.name}}</span>'. When the model changes
+   *    through setModel or updateModel, only the text and attribute nodes that depend on the changed keys are
+   *    patched on the next commit, instead of rewriting the whole content. Templates are parsed once per source,
+   *    so surfaces sharing a template (e.g. list rows) are cheap to create. Calling setContent ends the binding.
+   *
+   * @method setTemplate
+   * @chainable
+   * @param {string} template HTML of the template
+   * @param {Object} [model] values for the expressions
+   */
+  Surface.prototype.setTemplate = function setTemplate(template, model) {
+    this._boundContent = ContentTemplate.get(template).instantiate(model);
+    this.content = '';
+    this._contentDirty = true;
+    return this;
+  };
+
+  /**
+   * Return the model that the content of this surface is bound to.
+   *
+   * @method getModel
+   * @return {Object} model, or undefined if the content isn't bound
+   */
+  Surface.prototype.getModel = function getModel() {
+    return this._boundContent ? this._boundContent.getModel() : undefined;
+  };
+
+  /**
+   * Replace the model that the content of this surface is bound to.
+   *
+   * @method setModel
+   * @chainable
+   * @param {Object} model values for the expressions
+   */
+  Surface.prototype.setModel = function setModel(model) {
+    if (!this._boundContent) throw new Error('Cannot set a model on a surface without a template, use setTemplate first');
+    this._boundContent.setModel(model);
+    return this;
+  };
+
+  /**
+   * Merge changes into the model that the content of this surface is bound to. Only the nodes depending on the
+   *    changed keys are patched.
+   *
+   * @method updateModel
+   * @chainable
+   * @param {Object} changes dictionary of "key" => "value"
+   */
+  Surface.prototype.updateModel = function updateModel(changes) {
+    if (!this._boundContent) throw new Error('Cannot update the model of a surface without a template, use setTemplate first');
+    this._boundContent.updateModel(changes);
+    return this;
+  };
+
   /**
    * Set options for this surface
    *
@@ -251,7 +438,11 @@ define(function (require, exports, module) {
     if (options.classes) this.setClasses(options.classes);
     if (options.properties) this.setProperties(options.properties);
     if (options.attributes) this.setAttributes(options.attributes);
+    if (options.role !== undefined) this.setRole(options.role);
+    if (options.aria) this.setAria(options.aria);
+    if (options.focusable !== undefined) this.setFocusable(options.focusable);
     if (options.content !== undefined) this.setContent(options.content);
+    if (options.template !== undefined) this.setTemplate(options.template, options.model);
     this.options = options;
     return this;
   };
@@ -262,20 +453,43 @@ define(function (require, exports, module) {
     this._dirtyClasses = [];
   }
 
-  // Apply values of all Famous-managed styles to the document element.
-  //  These will be deployed to the document on call to #setup().
+  // Write a single style to the document element. Custom properties can only be written through style.setProperty.
+  function _setStyle(target, name, value) {
+    if (name.indexOf('--') === 0) DOMBuffer.setStyleProperty(target.style, name, value);
+    else DOMBuffer.assignProperty(target.style, name, value);
+  }
+
+  // Apply values of the Famous-managed styles that changed since the last commit to the document element,
+  //  clearing the ones that were removed. These will be deployed to the document on call to #setup().
   function _applyStyles(target) {
-    for (var n in this.properties) {
-      DOMBuffer.assignProperty(target.style, n, this.properties[n]);
+    for (var n in this._dirtyProperties) {
+      if (n in this.properties) {
+        _setStyle(target, n, this.properties[n]);
+        this._writtenProperties[n] = this.properties[n];
+      }
+      else {
+        _setStyle(target, n, '');
+        delete this._writtenProperties[n];
+      }
     }
+    this._dirtyProperties = {};
   }
 
-  // Clear all Famous-managed styles from the document element.
+  // Clear all Famous-managed styles from the document element, including the ones removed since the last commit.
   // These will be deployed to the document on call to #setup().
   function _cleanupStyles(target) {
-    for (var n in this.properties) {
-      DOMBuffer.assignProperty(target.style, n, '');
+    var n;
+    for (n in this._dirtyProperties) {
+      if (!(n in this.properties)) _setStyle(target, n, '');
+    }
+    for (n in this._writtenProperties) {
+      if (!(n in this.properties)) _setStyle(target, n, '');
     }
+    for (n in this.properties) {
+      _setStyle(target, n, '');
+    }
+    this._dirtyProperties = {};
+    this._writtenProperties = {};
   }
 
   //  Apply values of all Famous-managed attributes to the document element.
@@ -328,6 +542,9 @@ define(function (require, exports, module) {
     this.attach(target);
     this._opacity = null;
     this._currentTarget = target;
+    if (this._focusable) FocusManager.register(this);
+    for (var name in this.properties) this._dirtyProperties[name] = true;
+    this._writtenProperties = {};
     this._stylesDirty = true;
     this._classesDirty = true;
     this._attributesDirty = true;
@@ -345,11 +562,37 @@ define(function (require, exports, module) {
     return allocator.allocate({ type: this.elementType });
   };
 
+  // Queues a read of the rendered size of the target, which is done in the measure phase of the DOMBuffer together
+  //  with the reads of all other surfaces, instead of forcing a layout for every surface during the commit.
+  function _measureTrueSize(target) {
+    this._pendingMeasurement = DOMBuffer.measure(function() {
+      return [target.offsetWidth, target.offsetHeight];
+    }, function(measuredSize) {
+      this._pendingMeasurement = null;
+      if (this._currentTarget !== target) return;
+      var previousSize = this._measuredSize;
+      this._measuredSize = measuredSize;
+      if (_xyNotEquals(previousSize, measuredSize)) {
+        /* Update the size right away, so that it's available when rendering the next frame */
+        if (this._size && this.size) {
+          if (this.size[0] === true) this._size[0] = measuredSize[0];
+          if (this.size[1] === true) this._size[1] = measuredSize[1];
+        }
+        this._sizeDirty = true;
+        this._eventOutput.emit('sizeMeasured', {size: measuredSize, previousSize: previousSize});
+      }
+    }.bind(this));
+  }
+
   /**
    * Apply changes from this component to the corresponding document element.
    * This includes changes to classes, styles, size, content, opacity, origin,
    * and matrix transforms.
    *
+   * Surfaces with a true size are measured in the measure phase of the DOMBuffer, one frame after a change that
+   * may affect their size (content, classes, properties, attributes or the size of the other dimension).
+   * Until then, the last measured size is used. A 'sizeMeasured' event is emitted when the measured size changes.
+   *
    * @private
    * @method commit
    * @param {Context} context commit context
@@ -358,25 +601,28 @@ define(function (require, exports, module) {
     if (!this._currentTarget) this.setup(context.allocator);
     var target = this._currentTarget;
     var size = context.size;
+    /* Whether the rendered size may change by the writes of this frame, which can only be measured after the flush */
+    var trueSizeInvalidated = false;
+    FrameProfiler.count('committed');
 
     if (this._classesDirty) {
       _cleanupClasses.call(this, target);
       var classList = this.getClassList();
       for (var i = 0; i < classList.length; i++) DOMBuffer.addToObject(target.classList, classList[i]);
       this._classesDirty = false;
-      this._trueSizeCheck = true;
+      trueSizeInvalidated = true;
     }
 
     if (this._stylesDirty) {
       _applyStyles.call(this, target);
       this._stylesDirty = false;
-      this._trueSizeCheck = true;
+      trueSizeInvalidated = true;
     }
 
     if (this._attributesDirty) {
       _applyAttributes.call(this, target);
       this._attributesDirty = false;
-      this._trueSizeCheck = true;
+      trueSizeInvalidated = true;
     }
 
     if (this.size) {
@@ -385,31 +631,18 @@ define(function (require, exports, module) {
       if (size[0] === undefined) size[0] = origSize[0];
       if (size[1] === undefined) size[1] = origSize[1];
       if (size[0] === true || size[1] === true) {
-        if (size[0] === true) {
-          if (this._trueSizeCheck) {
-            var width = target.offsetWidth;
-            if (this._size && this._size[0] !== width) {
-              this._size[0] = width;
-              this._sizeDirty = true;
-            }
-            size[0] = width;
-          } else {
-            if (this._size) size[0] = this._size[0];
-          }
+        /* The width and height that are not true sized affect the rendered size of the other dimension */
+        if (_xyNotEquals(this._trueSizeBasis, size)) {
+          this._trueSizeBasis = [size[0], size[1]];
+          trueSizeInvalidated = true;
         }
-        if (size[1] === true) {
-          if (this._trueSizeCheck) {
-            var height = target.offsetHeight;
-            if (this._size && this._size[1] !== height) {
-              this._size[1] = height;
-              this._sizeDirty = true;
-            }
-            size[1] = height;
-          } else {
-            if (this._size) size[1] = this._size[1];
-          }
+        if (this._trueSizeCheck && !trueSizeInvalidated && !this._pendingMeasurement) {
+          _measureTrueSize.call(this, target);
+          this._trueSizeCheck = false;
         }
-        this._trueSizeCheck = false;
+        var measuredSize = this._measuredSize || [0, 0];
+        if (size[0] === true) size[0] = measuredSize[0];
+        if (size[1] === true) size[1] = measuredSize[1];
       }
     }
 
@@ -432,13 +665,20 @@ define(function (require, exports, module) {
       this._sizeDirty = false;
     }
 
+    if (this._boundContent && !this._contentDirty && this._boundContent.isDirty()) {
+      if (this._boundContent.patch()) trueSizeInvalidated = true;
+    }
+
     if (this._contentDirty) {
       this.deploy(target);
+      FrameProfiler.count('deployed');
       this._eventOutput.emit('deploy');
       this._contentDirty = false;
-      this._trueSizeCheck = true;
+      trueSizeInvalidated = true;
     }
 
+    if (trueSizeInvalidated) this._trueSizeCheck = true;
+
     ElementOutput.prototype.commit.call(this, context);
   };
 
@@ -462,8 +702,8 @@ define(function (require, exports, module) {
     var target = this._currentTarget;
     this._eventOutput.emit('recall');
     this.recall(target);
-    DOMBuffer.assignProperty(target.style, 'display', 'none');
-    DOMBuffer.assignProperty(target.style, 'opacity', '');
+    FrameProfiler.count('recalled');
+    this._renderer.release(this, target);
     DOMBuffer.assignProperty(target.style, 'width', '');
     DOMBuffer.assignProperty(target.style, 'height', '');
     _cleanupStyles.call(this, target);
@@ -483,6 +723,7 @@ define(function (require, exports, module) {
     }
     this.detach(target);
     this._currentTarget = null;
+    if (this._focusable) FocusManager.unregister(this);
     this.deallocate(allocator, target);
   };
 
@@ -496,7 +737,13 @@ define(function (require, exports, module) {
   Surface.prototype.deploy = function deploy(target) {
     var content = this.getContent();
 
-    if (content instanceof Node) {
+    if (this._boundContent) {
+      var nodes = this._boundContent.getNodes();
+      this._boundContent.patch();
+      DOMBuffer.assignProperty(target, 'textContent', '');
+      for (var j = 0; j < nodes.length; j++) DOMBuffer.appendChild(target, nodes[j]);
+      DOMBuffer.setAttributeOnDescendants(target, 'data-arvaid', this.id);
+    } else if (content instanceof Node) {
       var children = target.childNodes || [];
       //TODO Confirm that this works
       for (var i = 0; i < children.length; i++) {
@@ -12,6 +12,15 @@ define(function(require, exports, module) {
     var Transform = require('../core/Transform');
     var Transitionable = require('../transitions/Transitionable');
     var TransitionableTransform = require('../transitions/TransitionableTransform');
+    var Engine = require('../core/Engine');
+
+    /* Whether opacity changes skip their transitions, while the Engine runs at the critical priority level */
+    var skipOpacityTransitions = false;
+    Engine.registerQualityAdjustment('critical', function() {
+        skipOpacityTransitions = true;
+    }, function() {
+        skipOpacityTransitions = false;
+    });
 
     /**
      *  A collection of visual changes to be
@@ -90,13 +99,13 @@ define(function(require, exports, module) {
      *
      * @param {Number} opacity Opacity value to transition to.
      * @param {Transitionable} transition object of type {duration: number, curve:
-     *    f[0,1] -> [0,1] or name}. If transition is omitted, change will be
-     *    instantaneous.
+     *    f[0,1] -> [0,1] or name}. If transition is omitted, or the Engine runs at the critical
+     *    priority level, change will be instantaneous.
      * @param {Function} callback callback to call after transition completes
      * @return {StateModifier} this
      */
     StateModifier.prototype.setOpacity = function setOpacity(opacity, transition, callback) {
-        this._opacityState.set(opacity, transition, callback);
+        this._opacityState.set(opacity, skipOpacityTransitions ? undefined : transition, callback);
         return this;
     };
 
@@ -7,6 +7,16 @@
  */
 define(function(require, exports, module) {
     var EventHandler = require('../core/EventHandler');
+    var Clock = require('../core/Clock');
+    var Engine = require('../core/Engine');
+
+    /* Whether constraints are resolved in a single step, while the Engine runs at the critical priority level */
+    var reduceConstraintSteps = false;
+    Engine.registerQualityAdjustment('critical', function() {
+        reduceConstraintSteps = true;
+    }, function() {
+        reduceConstraintSteps = false;
+    });
 
     /**
      * The Physics Engine is responsible for mediating bodies with their
@@ -46,7 +56,7 @@ define(function(require, exports, module) {
     var MIN_TIME_STEP = 1000 / 120;
     var MAX_TIME_STEP = 17;
 
-    var now = Date.now;
+    var now = Clock.now;
 
     // Catalogue of outputted events
     var _events = {
@@ -64,7 +74,8 @@ define(function(require, exports, module) {
     PhysicsEngine.DEFAULT_OPTIONS = {
 
         /**
-         * The number of iterations the engine takes to resolve constraints
+         * The number of iterations the engine takes to resolve constraints,
+         *   a single one while the Engine runs at the critical priority level
          * @attribute constraintSteps
          * @type Number
          */
@@ -352,7 +363,8 @@ define(function(require, exports, module) {
 
     function _updateConstraints(dt) {
         var iteration = 0;
-        while (iteration < this.options.constraintSteps) {
+        var steps = reduceConstraintSteps ? Math.min(this.options.constraintSteps, 1) : this.options.constraintSteps;
+        while (iteration < steps) {
             for (var index = this._constraints.length - 1; index > -1; index--)
                 _updateConstraint.call(this, index, dt);
             iteration++;
@@ -11,6 +11,7 @@ define(function(require, exports, module) {
     var Vector = require('../../math/Vector');
     var Transform = require('../../core/Transform');
     var EventHandler = require('../../core/EventHandler');
+    var Clock = require('../../core/Clock');
     var Integrator = require('../integrators/SymplecticEuler');
 
     /**
@@ -81,7 +82,7 @@ define(function(require, exports, module) {
     };
 
     // Cached timing function
-    var now = Date.now;
+    var now = Clock.now;
 
     /**
      * @attribute isBody
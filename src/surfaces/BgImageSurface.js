@@ -22,6 +22,7 @@ define(function(require, exports, module) {
 
     var Surface = require('famous/core/Surface');
     var DOMBuffer = require('famous/core/DOMBuffer');
+    var ImageSurface = require('famous/surfaces/ImageSurface');
 
     /**
      * @enum
@@ -68,6 +69,8 @@ define(function(require, exports, module) {
      * @param {SizeMode|String} [options.sizeMode] Size-mode to use.
      * @param {PositionMode|String} [options.positionMode] Position-mode to use.
      * @param {RepeatMode|String} [options.repeatMode] Repeat-mode to use.
+     * @param {Array.Number} [options.focalPoint] Point of the image to keep in frame, see setFocalPoint.
+     * @param {Array.Object} [options.sources] Candidate image-urls by width, see setSources.
      * @alias module:BgImageSurface
      */
     function BgImageSurface(options) {
@@ -77,7 +80,14 @@ define(function(require, exports, module) {
         this._sizeMode = (options && options.sizeMode) ? options.sizeMode : SizeMode.FILL;
         this._positionMode = (options && options.positionMode) ? options.positionMode : PositionMode.CENTER;
         this._repeatMode = (options && options.repeatMode) ? options.repeatMode : RepeatMode.NONE;
+        this._focalPoint = null;
+        this._focalPosition = null;
+        this._naturalSize = null;
+        this._sources = null;
+        this._pendingUrl = null;
 
+        if (options && options.sources) this.setSources(options.sources);
+        if (options && options.focalPoint) this.setFocalPoint(options.focalPoint);
         this._updateProperties();
     }
     BgImageSurface.prototype = Object.create(Surface.prototype);
@@ -94,7 +104,7 @@ define(function(require, exports, module) {
      * @private
      */
     BgImageSurface.prototype._updateProperties = function() {
-        var props = this.getProperties();
+        var props = {};
         if (this._imageUrl) {
             var imageUrl = this._imageUrl;
             // url encode '(' and ')'
@@ -108,19 +118,133 @@ define(function(require, exports, module) {
             props.backgroundImage = '';
         }
         props.backgroundSize = this._sizeMode;
-        props.backgroundPosition = this._positionMode;
+        props.backgroundPosition = this._focalPoint ? _getFocalPosition.call(this) : this._positionMode;
         props.backgroundRepeat = this._repeatMode;
         this.setProperties(props);
     };
 
+    // Returns the background-position that keeps the focal point in frame. With AspectFill and a known image
+    // size, the focal point is centered as far as the image allows, otherwise it is positioned proportionally.
+    function _getFocalPosition() {
+        return this._focalPosition ||
+            (this._focalPoint[0] * 100) + '% ' + (this._focalPoint[1] * 100) + '%';
+    }
+
+    function _computeFocalPosition(size) {
+        if (this._sizeMode !== SizeMode.ASPECTFILL || !this._naturalSize || !size[0] || !size[1]) return null;
+        var scale = Math.max(size[0] / this._naturalSize[0], size[1] / this._naturalSize[1]);
+        var position = [];
+        for (var i = 0; i < 2; i++) {
+            var scaledSize = this._naturalSize[i] * scale;
+            var offset = size[i] / 2 - this._focalPoint[i] * scaledSize;
+            offset = Math.min(0, Math.max(size[i] - scaledSize, offset));
+            position.push((Math.round(offset * 100) / 100) + 'px');
+        }
+        return position.join(' ');
+    }
+
+    // Loads the size of the image, which is needed to center the focal point.
+    function _loadNaturalSize(imageUrl) {
+        ImageSurface.preload(imageUrl, function(url, naturalSize, failed) {
+            if (url !== this._imageUrl || failed) return;
+            this._naturalSize = naturalSize;
+        }.bind(this));
+    }
+
+    // Shows another source once it is loaded, so that the current image stays visible in the meantime.
+    function _swapSource(imageUrl) {
+        if (!this._imageUrl) {
+            this._imageUrl = imageUrl;
+            this._updateProperties();
+            if (this._focalPoint) _loadNaturalSize.call(this, imageUrl);
+            return;
+        }
+        this._pendingUrl = imageUrl;
+        ImageSurface.preload(imageUrl, function(url, naturalSize, failed) {
+            if (url !== this._pendingUrl) return;
+            this._pendingUrl = null;
+            if (failed) return;
+            this._imageUrl = url;
+            this._naturalSize = naturalSize;
+            this._updateProperties();
+        }.bind(this));
+    }
+
+    // Returns the smallest source that is at least as wide as the surface in device pixels, or else the widest.
+    function _pickSource(width) {
+        var requiredWidth = width * (window.devicePixelRatio || 1);
+        for (var i = 0; i < this._sources.length; i++) {
+            if (this._sources[i].width >= requiredWidth) return this._sources[i].url;
+        }
+        return this._sources[this._sources.length - 1].url;
+    }
+
+    // Returns the width of a source, or -1 if the url isn't one of the sources.
+    function _getSourceWidth(url) {
+        for (var i = 0; i < this._sources.length; i++) {
+            if (this._sources[i].url === url) return this._sources[i].width;
+        }
+        return -1;
+    }
+
     /**
      * @param {String} imageUrl Image-url, when set will cause re-rendering
      */
     BgImageSurface.prototype.setContent = function(imageUrl) {
         this._imageUrl = imageUrl;
+        this._sources = null;
+        this._pendingUrl = null;
+        this._naturalSize = null;
+        this._focalPosition = null;
+        if (imageUrl && this._focalPoint) _loadNaturalSize.call(this, imageUrl);
+        this._updateProperties();
+    };
+
+    /**
+     * Set candidate image-urls, of which the one that fits the committed width of the surface times the
+     * devicePixelRatio is shown. When the width grows beyond the shown candidate, the image is swapped for a
+     * larger one after it is loaded. A surface that shrinks keeps showing the larger image, so that resizing
+     * back and forth around the width of a candidate doesn't swap the image every time.
+     *
+     * @param {Array.Object} sources Candidates with the url and the width of the image in pixels,
+     *   e.g. [{url: 'small.jpg', width: 400}, {url: 'large.jpg', width: 1600}]
+     */
+    BgImageSurface.prototype.setSources = function(sources) {
+        this._sources = sources.slice().sort(function(a, b) {
+            return a.width - b.width;
+        });
+        this._pendingUrl = null;
+    };
+
+    /**
+     * @return {Array.Object} Candidate image-urls by width, or null when a single image-url is used
+     */
+    BgImageSurface.prototype.getSources = function() {
+        return this._sources;
+    };
+
+    /**
+     * Set the point of the image that should stay in frame, e.g. a face. With AspectFill, the image is
+     * positioned so that the focal point is as close to the center as possible; the position-mode is then
+     * not used.
+     *
+     * @param {Array.Number} focalPoint [x, y] as a fraction of the image size, e.g. [0.5, 0.25],
+     *   or null to use the position-mode
+     */
+    BgImageSurface.prototype.setFocalPoint = function(focalPoint) {
+        this._focalPoint = focalPoint ? [focalPoint[0], focalPoint[1]] : null;
+        this._focalPosition = null;
+        if (focalPoint && this._imageUrl && !this._naturalSize) _loadNaturalSize.call(this, this._imageUrl);
         this._updateProperties();
     };
 
+    /**
+     * @return {Array.Number} Focal point, or null if not set
+     */
+    BgImageSurface.prototype.getFocalPoint = function() {
+        return this._focalPoint;
+    };
+
     /**
      * @return {String} Image-url
      */
@@ -173,6 +297,36 @@ define(function(require, exports, module) {
         return this._repeatMode;
     };
 
+    /**
+     * Pick the source and position the focal point for the size of this frame, and apply the changes to the
+     * document element.
+     *
+     * @private
+     * @param {Context} context commit context
+     */
+    BgImageSurface.prototype.commit = function commit(context) {
+        var size = [context.size[0], context.size[1]];
+        if (this.size) {
+            if (typeof this.size[0] === 'number') size[0] = this.size[0];
+            if (typeof this.size[1] === 'number') size[1] = this.size[1];
+        }
+        if (this._sources && this._sources.length) {
+            var imageUrl = _pickSource.call(this, size[0]);
+            var currentUrl = this._pendingUrl || this._imageUrl;
+            if (_getSourceWidth.call(this, imageUrl) > _getSourceWidth.call(this, currentUrl)) {
+                _swapSource.call(this, imageUrl);
+            }
+        }
+        if (this._focalPoint) {
+            var focalPosition = _computeFocalPosition.call(this, size);
+            if (focalPosition !== this._focalPosition) {
+                this._focalPosition = focalPosition;
+                this._updateProperties();
+            }
+        }
+        return Surface.prototype.commit.call(this, context);
+    };
+
     /**
      * Place the document element that this component manages into the document.
      *
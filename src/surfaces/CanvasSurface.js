@@ -9,27 +9,57 @@
 
 define(function(require, exports, module) {
     var Surface = require('../core/Surface');
+    var Clock = require('../core/Clock');
 
     /**
      * A surface containing an HTML5 Canvas element.
      *   This extends the Surface class.
      *
+     *   Unless a canvasSize is given, the backing store of the canvas follows the committed size of the surface,
+     *   multiplied by the pixel ratio of the device, so that drawings stay sharp on high-DPI screens. The 2D
+     *   context is scaled accordingly, so drawing is done in CSS pixels.
+     *
+     *   Drawing in sync with the Engine loop is done with an onDraw callback. It is called during the commit when
+     *   the surface was marked dirty (see markDirty), when the backing store was resized, or on every frame while
+     *   the surface is animating (see setAnimating). The canvas is cleared before each call.
+     *
+     * @example
+     *
+     * var chart = new CanvasSurface({size: [300, 150]});
+     * chart.onDraw(function(ctx, size, frame) {
+     *     ctx.fillRect(0, 0, size[0] * data.progress, size[1]);
+     * });
+     * data.on('change', chart.markDirty.bind(chart));
+     *
      * @class CanvasSurface
      * @extends Surface
      * @constructor
      * @param {Object} [options] overrides of default options
-     * @param {Array.Number} [options.canvasSize] [width, height] for document element
+     * @param {Array.Number} [options.canvasSize] [width, height] for document element, which disables the
+     *   automatic sizing of the backing store
+     * @param {Number} [options.pixelRatio] ratio of backing store pixels to CSS pixels. Defaults to the
+     *   devicePixelRatio of the window, which is read again on every commit
+     * @param {Function} [options.onDraw] callback drawing the canvas, see onDraw
+     * @param {Boolean} [options.animating] whether onDraw is called on every frame
      */
     function CanvasSurface(options) {
         if (options && options.canvasSize) this._canvasSize = options.canvasSize;
+        this._pixelRatio = options && options.pixelRatio;
+        this._drawCallback = options && options.onDraw;
+        this._animating = !!(options && options.animating);
+        this._drawDirty = true;
+        this._lastDrawTime = undefined;
+        this._drawCount = 0;
+        /* The scale of the 2D context, which is 1 when the canvasSize is managed by the caller */
+        this._contextScale = this._canvasSize ? 1 : (this._pixelRatio || window.devicePixelRatio || 1);
         Surface.apply(this, arguments);
-        if (!this._canvasSize) this._canvasSize = this.getSize();
+        var backingSize = this._canvasSize || _getBackingSize.call(this, this.getSize());
         this._backBuffer = document.createElement('canvas');
-        if (this._canvasSize) {
-            this._backBuffer.width = this._canvasSize[0];
-            this._backBuffer.height = this._canvasSize[1];
+        if (backingSize) {
+            this._backBuffer.width = backingSize[0];
+            this._backBuffer.height = backingSize[1];
         }
-        this._contextId = undefined;
+        this._contextId = this._drawCallback ? '2d' : undefined;
     }
 
     CanvasSurface.prototype = Object.create(Surface.prototype);
@@ -45,6 +75,108 @@ define(function(require, exports, module) {
      */
     CanvasSurface.prototype.setContent = function setContent() {};
 
+    // Returns the size of the backing store for a size in CSS pixels, or undefined if the size isn't known.
+    function _getBackingSize(size) {
+        if (!size || typeof size[0] !== 'number' || typeof size[1] !== 'number') return undefined;
+        var ratio = this._pixelRatio || window.devicePixelRatio || 1;
+        return [Math.round(size[0] * ratio), Math.round(size[1] * ratio)];
+    }
+
+    // Scales the 2D context, so that drawing is done in CSS pixels. Resizing a canvas resets its context.
+    function _applyContextScale(target) {
+        if (this._contextId !== '2d') return;
+        var scale = this._contextScale;
+        target.getContext('2d').setTransform(scale, 0, 0, scale, 0, 0);
+    }
+
+    // Resizes the backing store of the target to the committed size, if it isn't managed by the caller.
+    //  Returns whether the target was resized, which clears it.
+    function _updateBackingStore(target) {
+        if (this._canvasSize) return false;
+        var backingSize = _getBackingSize.call(this, this._size);
+        if (!backingSize || (target.width === backingSize[0] && target.height === backingSize[1])) return false;
+        target.width = backingSize[0];
+        target.height = backingSize[1];
+        this._contextScale = this._pixelRatio || window.devicePixelRatio || 1;
+        _applyContextScale.call(this, target);
+        return true;
+    }
+
+    function _draw(target) {
+        var now = Clock.now();
+        var frame = {
+            time: now,
+            delta: this._lastDrawTime === undefined ? 0 : now - this._lastDrawTime,
+            count: this._drawCount++
+        };
+        this._lastDrawTime = now;
+        this._drawDirty = false;
+
+        var ctx = target.getContext('2d');
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, target.width, target.height);
+        ctx.restore();
+        this._drawCallback(ctx, [this._size[0], this._size[1]], frame);
+    }
+
+    /**
+     * Set the callback that draws the canvas. It is called during the commit when the surface is dirty or
+     *   animating, after clearing the canvas.
+     *
+     * @method onDraw
+     * @param {Function} callback function(ctx, size, frame), where ctx is the scaled 2D context, size the
+     *   [width, height] in CSS pixels and frame an object with the time, the delta since the previous draw
+     *   and the count of draws
+     */
+    CanvasSurface.prototype.onDraw = function onDraw(callback) {
+        this._drawCallback = callback;
+        this._contextId = '2d';
+        this._drawDirty = true;
+    };
+
+    /**
+     * Have the onDraw callback called during the next commit.
+     *
+     * @method markDirty
+     */
+    CanvasSurface.prototype.markDirty = function markDirty() {
+        this._drawDirty = true;
+    };
+
+    /**
+     * Set whether the onDraw callback is called on every frame, e.g. while an animation is running.
+     *
+     * @method setAnimating
+     * @param {Boolean} animating
+     */
+    CanvasSurface.prototype.setAnimating = function setAnimating(animating) {
+        this._animating = !!animating;
+    };
+
+    /**
+     * @method isAnimating
+     * @return {Boolean} whether the onDraw callback is called on every frame
+     */
+    CanvasSurface.prototype.isAnimating = function isAnimating() {
+        return this._animating;
+    };
+
+    /**
+     * Apply changes from this component to the corresponding document element, resize the backing store to
+     *   the committed size and draw if needed.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    CanvasSurface.prototype.commit = function commit(context) {
+        Surface.prototype.commit.call(this, context);
+        var target = this._currentTarget;
+        if (_updateBackingStore.call(this, target)) this._drawDirty = true;
+        if (this._drawCallback && (this._drawDirty || this._animating)) _draw.call(this, target);
+    };
+
     /**
      * Place the document element this component manages into the document.
      *    This will draw the content to the document.
@@ -58,8 +190,14 @@ define(function(require, exports, module) {
             target.width = this._canvasSize[0];
             target.height = this._canvasSize[1];
         }
+        else _updateBackingStore.call(this, target);
         if (this._contextId === '2d') {
-            target.getContext(this._contextId).drawImage(this._backBuffer, 0, 0);
+            var ctx = target.getContext(this._contextId);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.drawImage(this._backBuffer, 0, 0);
+            _applyContextScale.call(this, target);
+            /* The preserved drawing only fits if the size didn't change in the meantime */
+            if (this._backBuffer.width !== target.width || this._backBuffer.height !== target.height) this._drawDirty = true;
             this._backBuffer.width = 0;
             this._backBuffer.height = 0;
         }
@@ -74,31 +212,34 @@ define(function(require, exports, module) {
      * @param {Node} target node to which the component was deployed
      */
     CanvasSurface.prototype.recall = function recall(target) {
-        var size = this.getSize();
-
         this._backBuffer.width = target.width;
         this._backBuffer.height = target.height;
 
         if (this._contextId === '2d') {
             this._backBuffer.getContext(this._contextId).drawImage(target, 0, 0);
+            _applyContextScale.call(this, this._backBuffer);
             target.width = 0;
             target.height = 0;
         }
     };
 
     /**
-     * Returns the canvas element's context
+     * Returns the canvas element's context. A 2D context is scaled to the pixel ratio of the backing store.
      *
      * @method getContext
      * @param {string} contextId context identifier
      */
     CanvasSurface.prototype.getContext = function getContext(contextId) {
+        var canvas = this._currentTarget || this._backBuffer;
+        var isNewContext = this._contextId !== contextId;
         this._contextId = contextId;
-        return this._currentTarget ? this._currentTarget.getContext(contextId) : this._backBuffer.getContext(contextId);
+        if (isNewContext) _applyContextScale.call(this, canvas);
+        return canvas.getContext(contextId);
     };
 
     /**
-     *  Set the size of the surface and canvas element.
+     *  Set the size of the surface and canvas element. Without a canvasSize, the canvas element follows the
+     *  committed size of the surface.
      *
      *  @method setSize
      *  @param {Array.number} size [width, height] of surface
@@ -106,8 +247,12 @@ define(function(require, exports, module) {
      */
     CanvasSurface.prototype.setSize = function setSize(size, canvasSize) {
         Surface.prototype.setSize.apply(this, arguments);
-        if (canvasSize) this._canvasSize = [canvasSize[0], canvasSize[1]];
-        if (this._currentTarget) {
+        if (canvasSize) {
+            this._canvasSize = [canvasSize[0], canvasSize[1]];
+            /* The caller manages the backing store, so the context draws in canvas pixels */
+            this._contextScale = 1;
+        }
+        if (this._currentTarget && this._canvasSize) {
             this._currentTarget.width = this._canvasSize[0];
             this._currentTarget.height = this._canvasSize[1];
         }
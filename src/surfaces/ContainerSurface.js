@@ -101,7 +101,11 @@ define(function (require, exports, module) {
     var previousSize = this._size ? [this._size[0], this._size[1]] : null;
     var result = Surface.prototype.commit.apply(this, arguments);
     this.context.setSize(context.size);
-    this.context.update({hide: context.opacity === 0 || context.hide});
+    this.context.update({
+      hide: context.opacity === 0 || context.hide,
+      renderer: context.renderer,
+      offset: this._screenPosition
+    });
     return result;
   };
 
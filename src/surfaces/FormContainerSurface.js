@@ -1,9 +1,46 @@
 define(function(require, exports, module) {
     var ContainerSurface = require('./ContainerSurface');
 
+    /**
+     * A ContainerSurface in the form of an HTML form element, which connects the input surfaces inside it.
+     *
+     *   The fields of the form are the surfaces with a name (e.g. InputSurface and TextareaSurface) that are
+     *   committed within it, also inside nested containers. They are discovered when they are rendered, and
+     *   removed again when they are no longer rendered inside the form. When several committed surfaces have the
+     *   same name, the one that was discovered first is the field of that name.
+     *
+     *   The fields can be bound to a plain model object with setModel. A value typed in a field is written to the
+     *   model, and a value changed in the model is written to the field on the next commit.
+     *
+     *   Submitting the form (e.g. through a SubmitInputSurface) doesn't navigate, but validates the fields and
+     *   emits a 'submit' event with the values of the fields and their URL encoded serialization. As long as any
+     *   field is invalid (see InputValidator), the form emits an 'invalid' event with the errors per field instead.
+     *
+     * @class FormContainerSurface
+     * @extends ContainerSurface
+     * @constructor
+     * @param {Object} [options] overrides of default options
+     * @param {string} [options.method] method attribute of the form
+     * @param {Object} [options.model] model object to bind the fields to, see setModel
+     */
     function FormContainerSurface(options) {
         if (options) this._method = options.method || '';
+        this._fields = {};
+        /* The names of the fields that were discovered in the render tree, rather than added with addField */
+        this._discoveredNames = {};
+        this._model = null;
+        /* The values of the model that were last synchronized with the fields */
+        this._syncedValues = {};
+        this._submitListener = _onSubmit.bind(this);
+        this._validationId = 0;
         ContainerSurface.apply(this, arguments);
+
+        /* The submit event is emitted with the values of the form, instead of forwarded from the element */
+        var eventForwarder = this.eventForwarder;
+        this.eventForwarder = function(event) {
+            if (event.type !== 'submit') eventForwarder(event);
+        };
+        if (options && options.model) this.setModel(options.model);
     }
 
     FormContainerSurface.prototype = Object.create(ContainerSurface.prototype);
@@ -11,6 +48,280 @@ define(function(require, exports, module) {
 
     FormContainerSurface.prototype.elementType = 'form';
 
+    function _isField(renderable) {
+        return renderable && renderable.getName && renderable.getValue && renderable.setValue &&
+            renderable._type !== 'submit' && !!renderable.getName();
+    }
+
+    // Collects the fields among the renderables committed in a context, including those of nested contexts.
+    function _collectFields(context, result) {
+        var renderables = context.getCommittedRenderables();
+        for (var i = 0; i < renderables.length; i++) {
+            var renderable = renderables[i];
+            if (_isField(renderable)) result.push(renderable);
+            if (renderable && renderable.context && renderable.context.getCommittedRenderables) {
+                _collectFields(renderable.context, result);
+            }
+        }
+        return result;
+    }
+
+    function _onFieldInput(field) {
+        var name = field.getName();
+        var value = field.getValue();
+        if (this._model) {
+            this._model[name] = value;
+            this._syncedValues[name] = value;
+        }
+        this._eventOutput.emit('fieldChange', {name: name, value: value, field: field});
+    }
+
+    // Writes changes of the model to the fields.
+    function _syncModel() {
+        var model = this._model;
+        for (var name in this._fields) {
+            if (!(name in model)) {
+                model[name] = this._fields[name].getValue();
+                this._syncedValues[name] = model[name];
+            }
+            else if (model[name] !== this._syncedValues[name]) {
+                this._syncedValues[name] = model[name];
+                this._fields[name].setValue(model[name] === undefined || model[name] === null ? '' : model[name]);
+            }
+        }
+    }
+
+    function _onSubmit(event) {
+        event.preventDefault();
+        this.submit();
+    }
+
+    // Adds the fields that were committed inside the form, and removes the discovered fields that no longer are.
+    function _discoverFields() {
+        var committed = {};
+        var fields = _collectFields(this.context, []);
+        var name;
+        for (var i = 0; i < fields.length; i++) {
+            name = fields[i].getName();
+            if (!committed[name] || fields[i] === this._fields[name]) committed[name] = fields[i];
+        }
+        for (name in this._discoveredNames) {
+            if (committed[name] !== this._fields[name]) this.removeField(name);
+        }
+        for (name in committed) {
+            if (this._fields[name]) continue;
+            this.addField(committed[name]);
+            this._discoveredNames[name] = true;
+        }
+    }
+
+    /**
+     * Adds a field to the form, e.g. an input surface that isn't rendered inside the form. Fields inside the form
+     *   are added automatically. A field that is added with this method stays a field until removeField is called.
+     *
+     * @method addField
+     * @param {InputSurface|TextareaSurface} field surface with a name
+     */
+    FormContainerSurface.prototype.addField = function addField(field) {
+        var name = field.getName();
+        if (this._fields[name] === field) return;
+        if (this._fields[name]) this.removeField(name);
+        this._fields[name] = field;
+        field._formInputListener = _onFieldInput.bind(this, field);
+        field.on('input', field._formInputListener);
+        field.on('change', field._formInputListener);
+        this._eventOutput.emit('fieldAdded', {name: name, field: field});
+    };
+
+    /**
+     * Removes a field from the form.
+     *
+     * @method removeField
+     * @param {string} name name of the field
+     */
+    FormContainerSurface.prototype.removeField = function removeField(name) {
+        var field = this._fields[name];
+        if (!field) return;
+        field.removeListener('input', field._formInputListener);
+        field.removeListener('change', field._formInputListener);
+        delete field._formInputListener;
+        delete this._fields[name];
+        delete this._discoveredNames[name];
+        delete this._syncedValues[name];
+    };
+
+    /**
+     * @method getField
+     * @param {string} name name of the field
+     * @return {InputSurface|TextareaSurface} the field, or undefined if there is no field with the name
+     */
+    FormContainerSurface.prototype.getField = function getField(name) {
+        return this._fields[name];
+    };
+
+    /**
+     * @method getFields
+     * @return {Object} dictionary of name => field
+     */
+    FormContainerSurface.prototype.getFields = function getFields() {
+        return this._fields;
+    };
+
+    /**
+     * @method getValues
+     * @return {Object} dictionary of name => value of the fields
+     */
+    FormContainerSurface.prototype.getValues = function getValues() {
+        var values = {};
+        for (var name in this._fields) values[name] = this._fields[name].getValue();
+        return values;
+    };
+
+    /**
+     * Set the values of fields, and of the bound model.
+     *
+     * @method setValues
+     * @param {Object} values dictionary of name => value
+     */
+    FormContainerSurface.prototype.setValues = function setValues(values) {
+        for (var name in values) {
+            var value = values[name];
+            if (this._fields[name]) this._fields[name].setValue(value === undefined || value === null ? '' : value);
+            if (this._model) {
+                this._model[name] = value;
+                this._syncedValues[name] = value;
+            }
+        }
+    };
+
+    /**
+     * Bind the fields to a model object. The values in the model are written to the fields, and the values of
+     *   fields that the model doesn't have yet are written to the model.
+     *
+     * @method setModel
+     * @param {Object} model plain object with a property for every field, or null to unbind
+     */
+    FormContainerSurface.prototype.setModel = function setModel(model) {
+        this._model = model || null;
+        this._syncedValues = {};
+        if (this._model) _syncModel.call(this);
+    };
+
+    /**
+     * @method getModel
+     * @return {Object} the bound model, or null
+     */
+    FormContainerSurface.prototype.getModel = function getModel() {
+        return this._model;
+    };
+
+    /**
+     * Returns the values of the fields as a URL encoded string, like a form submission.
+     *
+     * @method serialize
+     * @return {string} e.g. 'name=Jane&city=New%20York'
+     */
+    FormContainerSurface.prototype.serialize = function serialize() {
+        var values = this.getValues();
+        var parts = [];
+        for (var name in values) {
+            parts.push(encodeURIComponent(name) + '=' + encodeURIComponent(values[name]));
+        }
+        return parts.join('&');
+    };
+
+    /**
+     * Validates all fields that can be validated, whatever events they validate on.
+     *
+     * @method validate
+     * @param {Function} [callback] called with (valid, errors) when all validations complete, where errors is a
+     *   dictionary of name => errors of the invalid fields
+     */
+    FormContainerSurface.prototype.validate = function validate(callback) {
+        var id = ++this._validationId;
+        var errors = {};
+        var valid = true;
+        var pending = 1;
+        function complete(name, fieldValid, fieldErrors) {
+            if (!fieldValid) {
+                valid = false;
+                errors[name] = fieldErrors;
+            }
+            if (--pending > 0 || id !== this._validationId) return;
+            if (callback) callback(valid, errors);
+        }
+
+        for (var name in this._fields) {
+            var field = this._fields[name];
+            if (!field.validate) continue;
+            pending++;
+            field.validate(complete.bind(this, name));
+        }
+        complete.call(this, null, true);
+    };
+
+    /**
+     * @method isValid
+     * @return {Boolean} whether all fields passed their last validation
+     */
+    FormContainerSurface.prototype.isValid = function isValid() {
+        for (var name in this._fields) {
+            if (this._fields[name].isValid && !this._fields[name].isValid()) return false;
+        }
+        return true;
+    };
+
+    /**
+     * Submits the form when all fields are valid, which emits a 'submit' event with the values and their
+     *   serialization. Otherwise an 'invalid' event is emitted with the errors per field.
+     *
+     * @method submit
+     */
+    FormContainerSurface.prototype.submit = function submit() {
+        this.validate(function(valid, errors) {
+            if (valid) this._eventOutput.emit('submit', {values: this.getValues(), data: this.serialize(), form: this});
+            else this._eventOutput.emit('invalid', {errors: errors, form: this});
+        }.bind(this));
+    };
+
+    /**
+     * Apply changes from this component to the corresponding document element, discover the fields that were
+     *   committed inside it and synchronize them with the model.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    FormContainerSurface.prototype.commit = function commit(context) {
+        var result = ContainerSurface.prototype.commit.apply(this, arguments);
+        _discoverFields.call(this);
+        if (this._model) _syncModel.call(this);
+        return result;
+    };
+
+    /**
+     * Attaches the listener of the native submit to the element.
+     *
+     * @private
+     * @method attach
+     * @param {Node} target the allocated element
+     */
+    FormContainerSurface.prototype.attach = function attach(target) {
+        ContainerSurface.prototype.attach.call(this, target);
+        target.addEventListener('submit', this._submitListener);
+    };
+
+    /**
+     * Detaches the listener of the native submit from the element.
+     *
+     * @private
+     * @method detach
+     */
+    FormContainerSurface.prototype.detach = function detach() {
+        if (this._element) this._element.removeEventListener('submit', this._submitListener);
+        return ContainerSurface.prototype.detach.apply(this, arguments);
+    };
+
     FormContainerSurface.prototype.deploy = function deploy(target) {
         if (this._method) target.method = this._method;
         return ContainerSurface.prototype.deploy.apply(this, arguments);
@@ -1,4 +1,3 @@
-
 /* This Source Code Form is subject to the terms of the Mozilla Public
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/.
@@ -16,15 +15,55 @@ define(function(require, exports, module) {
      * A surface containing image content.
      *   This extends the Surface class.
      *
+     *   Images are loaded through a cache that is shared by all image surfaces, which keeps the loaded images
+     *   around while they are used (and a limited amount of unused ones, see setCacheLimit). Surfaces that are
+     *   recalled and deployed again, e.g. rows of a Scrollview, show their image right away instead of flashing.
+     *
+     *   The surface emits a 'load' event with the url and the naturalSize of the image when it is loaded, and an
+     *   'error' event with the url when it fails to load.
+     *
+     *   With the lazy option, loading waits until the surface is committed within the visible area of its
+     *   context, so lazy surfaces need a size that doesn't depend on the image. With a placeholder, a color or
+     *   low resolution image is shown until the image is loaded, which then fades in over the placeholder. A
+     *   surface with a placeholder is rendered as a div containing the img element, so it needs a size as well.
+     *
      * @class ImageSurface
      *
      * @extends Surface
      * @constructor
      * @param {Object} [options] overrides of default options
+     * @param {Boolean} [options.lazy] whether to wait with loading until the surface is visible
+     * @param {Number} [options.lazyMargin] distance in pixels from the visible area within which lazy
+     *   surfaces already start loading
+     * @param {string} [options.placeholder] CSS color shown until the image is loaded
+     * @param {string} [options.placeholderUrl] url of a (low resolution) image shown until the image is loaded
+     * @param {Number} [options.crossfade] duration in milliseconds of the fade from the placeholder to the image
      */
     function ImageSurface(options) {
         this._imageUrl = undefined;
+        this._cacheEntry = null;
+        this._loadState = 'none';
+        this._naturalSize = null;
+        this._pendingLoadEvent = false;
+        this._visibilityCheck = null;
+        this._fadeIn = false;
+        this._lazy = !!(options && options.lazy);
+        this._lazyMargin = (options && options.lazyMargin) || 0;
+        this._placeholder = options && (options.placeholder || options.placeholderUrl) ? {
+            color: options.placeholder || '',
+            url: options.placeholderUrl || ''
+        } : null;
+        this._crossfade = (options && options.crossfade !== undefined) ? options.crossfade : 300;
+        this._image = null;
+        this._imageTarget = null;
+        if (this._placeholder) this.elementType = 'div';
         Surface.apply(this, arguments);
+
+        /* The load and error events are emitted for the loaded url, instead of forwarded from the element */
+        var eventForwarder = this.eventForwarder;
+        this.eventForwarder = function(event) {
+            if (event.type !== 'load' && event.type !== 'error') eventForwarder(event);
+        };
         this.on('load', (function() {
           if(this.size && (this.size[0] === true || this.size[1] === true)){
             this._eventOutput.emit('resize');
@@ -32,9 +71,11 @@ define(function(require, exports, module) {
         }).bind(this));
     }
 
-    var urlCache = [];
-    var countCache = [];
-    var nodeCache = [];
+    /* Cache entries by url, with the image that loads it, the amount of surfaces using it and its load state */
+    var cache = {};
+    /* Urls of the loaded entries that no surface uses, least recently used first */
+    var unusedUrls = [];
+    var cacheLimit = 50;
     var cacheEnabled = true;
 
     ImageSurface.enableCache = function enableCache() {
@@ -43,22 +84,122 @@ define(function(require, exports, module) {
 
     ImageSurface.disableCache = function disableCache() {
         cacheEnabled = false;
+        _trimCache();
     };
 
     ImageSurface.clearCache = function clearCache() {
-        urlCache = [];
-        countCache = [];
-        nodeCache = [];
+        cache = {};
+        unusedUrls = [];
+    };
+
+    /**
+     * Set the maximum amount of loaded images that are kept in the cache while no surface uses them.
+     *
+     * @static
+     * @method setCacheLimit
+     * @param {Number} limit amount of unused images
+     */
+    ImageSurface.setCacheLimit = function setCacheLimit(limit) {
+        cacheLimit = limit;
+        _trimCache();
     };
 
     ImageSurface.getCache = function getCache() {
-        return {
-            urlCache: urlCache,
-            countCache: countCache,
-            nodeCache: nodeCache
+        var result = {
+            urlCache: [],
+            countCache: [],
+            nodeCache: []
         };
+        for (var url in cache) {
+            result.urlCache.push(url);
+            result.countCache.push(cache[url].count);
+            result.nodeCache.push(cache[url].image);
+        }
+        return result;
+    };
+
+    /**
+     * Load an image into the cache, e.g. for the next page of a list.
+     *
+     * @static
+     * @method preload
+     * @param {string} url url of the image
+     * @param {Function} [callback] called with the url, the naturalSize and whether it failed to load
+     */
+    ImageSurface.preload = function preload(url, callback) {
+        var entry = _getEntry(url);
+        if (entry.count === 0) {
+            /* Move the url to the most recently used end */
+            var unusedIndex = unusedUrls.indexOf(url);
+            if (unusedIndex >= 0) unusedUrls.splice(unusedIndex, 1);
+            unusedUrls.push(url);
+        }
+        _load(entry, callback);
     };
 
+    function _getEntry(url) {
+        if (!cache[url]) cache[url] = {url: url, image: null, count: 0, state: 'none', naturalSize: null, callbacks: []};
+        return cache[url];
+    }
+
+    // Removes the least recently used entries that no surface uses, beyond the cache limit.
+    function _trimCache() {
+        var limit = cacheEnabled ? cacheLimit : 0;
+        while (unusedUrls.length > limit) {
+            var url = unusedUrls.shift();
+            if (cache[url] && cache[url].count === 0 && cache[url].state !== 'loading') delete cache[url];
+        }
+    }
+
+    function _acquire(url) {
+        var entry = _getEntry(url);
+        entry.count++;
+        var unusedIndex = unusedUrls.indexOf(url);
+        if (unusedIndex >= 0) unusedUrls.splice(unusedIndex, 1);
+        return entry;
+    }
+
+    function _release(entry) {
+        entry.count--;
+        if (entry.count > 0 || cache[entry.url] !== entry) return;
+        unusedUrls.push(entry.url);
+        _trimCache();
+    }
+
+    // Calls back the loads of an entry. A failed load isn't cached (e.g. after a network failure), so that the
+    //  next surface or preload that uses the url tries again.
+    function _finishLoad(entry, state) {
+        var failed = state === 'error';
+        entry.state = failed ? 'none' : state;
+        if (failed) entry.image = null;
+        else entry.naturalSize = [entry.image.naturalWidth, entry.image.naturalHeight];
+        var callbacks = entry.callbacks;
+        entry.callbacks = [];
+        for (var i = 0; i < callbacks.length; i++) callbacks[i](entry.url, entry.naturalSize, failed);
+        if (entry.count > 0) return;
+        if (failed && cache[entry.url] === entry) {
+            delete cache[entry.url];
+            var unusedIndex = unusedUrls.indexOf(entry.url);
+            if (unusedIndex >= 0) unusedUrls.splice(unusedIndex, 1);
+        }
+        else _trimCache();
+    }
+
+    // Starts loading the image of an entry, or calls back right away if it is loaded.
+    function _load(entry, callback) {
+        if (entry.state === 'loaded') {
+            if (callback) callback(entry.url, entry.naturalSize, false);
+            return;
+        }
+        if (callback) entry.callbacks.push(callback);
+        if (entry.state === 'loading') return;
+        entry.state = 'loading';
+        entry.image = new Image();
+        entry.image.onload = _finishLoad.bind(null, entry, 'loaded');
+        entry.image.onerror = _finishLoad.bind(null, entry, 'error');
+        entry.image.src = entry.url;
+    }
+
     ImageSurface.prototype = Object.create(Surface.prototype);
     ImageSurface.prototype.constructor = ImageSurface;
     ImageSurface.prototype.elementType = 'img';
@@ -70,31 +211,131 @@ define(function(require, exports, module) {
      * @param {string} imageUrl
      */
     ImageSurface.prototype.setContent = function setContent(imageUrl) {
-        var urlIndex = urlCache.indexOf(this._imageUrl);
-        if (urlIndex !== -1) {
-            if (countCache[urlIndex] === 1) {
-                urlCache.splice(urlIndex, 1);
-                countCache.splice(urlIndex, 1);
-                nodeCache.splice(urlIndex, 1);
-            } else {
-                countCache[urlIndex]--;
-            }
+        /* Setting the url of an image that failed to load again retries it */
+        if (imageUrl === this._imageUrl && this._loadState !== 'error') return;
+        if (this._cacheEntry) _release(this._cacheEntry);
+        this._cacheEntry = imageUrl ? _acquire(imageUrl) : null;
+        this._imageUrl = imageUrl;
+        this._naturalSize = null;
+        this._fadeIn = false;
+        this._pendingLoadEvent = false;
+        this._loadState = imageUrl ? 'pending' : 'none';
+        /* An image that is already in the cache is shown right away */
+        if (this._cacheEntry && this._cacheEntry.state === 'loaded') {
+            this._loadState = 'loaded';
+            this._naturalSize = this._cacheEntry.naturalSize;
+            this._pendingLoadEvent = true;
         }
+        this._contentDirty = true;
+    };
 
-        urlIndex = urlCache.indexOf(imageUrl);
-        if (urlIndex === -1) {
-            urlCache.push(imageUrl);
-            countCache.push(1);
-        }
-        else {
-            countCache[urlIndex]++;
+    /**
+     * @method getNaturalSize
+     * @return {Array.Number} [width, height] of the loaded image, or null if it isn't loaded
+     */
+    ImageSurface.prototype.getNaturalSize = function getNaturalSize() {
+        return this._naturalSize;
+    };
+
+    /**
+     * @method getLoadState
+     * @return {string} 'none' without an image, 'pending' before loading started (e.g. while not visible),
+     *   'loading', 'loaded' or 'error'
+     */
+    ImageSurface.prototype.getLoadState = function getLoadState() {
+        return this._loadState;
+    };
+
+    function _onLoaded(url, naturalSize, failed) {
+        if (url !== this._imageUrl) return;
+        this._loadState = failed ? 'error' : 'loaded';
+        this._naturalSize = naturalSize;
+        /* The image element only gets its source when loaded if there is a placeholder, which it fades in over */
+        if (this._placeholder) {
+            this._fadeIn = !failed && !!this._currentTarget;
+            this._contentDirty = true;
         }
+        this._trueSizeCheck = true;
+        if (failed) this._eventOutput.emit('error', {url: url});
+        else this._eventOutput.emit('load', {url: url, naturalSize: naturalSize});
+    }
 
-        this._imageUrl = imageUrl;
-        this._contentDirty = true;
+    function _startLoading() {
+        this._loadState = 'loading';
+        /* Without a placeholder, the element loads the image itself and shows it while it is coming in */
+        if (!this._placeholder) this._contentDirty = true;
+        _load(this._cacheEntry, _onLoaded.bind(this));
+    }
+
+    // Queues a check in the measure phase of whether the element is within the visible area of its container.
+    function _checkVisibility(target, container) {
+        var margin = this._lazyMargin;
+        this._visibilityCheck = DOMBuffer.measure(function() {
+            var rect = target.getBoundingClientRect();
+            var area = container.getBoundingClientRect();
+            var left = Math.max(area.left, 0) - margin;
+            var top = Math.max(area.top, 0) - margin;
+            var right = Math.min(area.right, window.innerWidth) + margin;
+            var bottom = Math.min(area.bottom, window.innerHeight) + margin;
+            return rect.width > 0 && rect.height > 0 &&
+                rect.right >= left && rect.left <= right && rect.bottom >= top && rect.top <= bottom;
+        }, function(isVisible) {
+            this._visibilityCheck = null;
+            if (isVisible && this._loadState === 'pending' && this._currentTarget === target) _startLoading.call(this);
+        }.bind(this));
+    }
 
+    /**
+     * Apply changes from this component to the corresponding document element, and start loading the image
+     *   when it isn't lazy or when it is visible.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    ImageSurface.prototype.commit = function commit(context) {
+        if (this._loadState === 'pending' && !this._lazy) _startLoading.call(this);
+        /* The measure phase precedes the writes of the frame, so a new element can only be measured next frame */
+        var isPositioned = !!this._currentTarget;
+        Surface.prototype.commit.call(this, context);
+        if (this._pendingLoadEvent) {
+            this._pendingLoadEvent = false;
+            this._eventOutput.emit('load', {url: this._imageUrl, naturalSize: this._naturalSize});
+        }
+        if (this._loadState === 'pending' && isPositioned && !this._visibilityCheck && !context.hide &&
+            context.transform && context.allocator) {
+            _checkVisibility.call(this, this._currentTarget, context.allocator.container);
+        }
     };
 
+    // Shows the placeholder as the background of the element, with the image element on top of it.
+    function _deployWithPlaceholder(target) {
+        if (!this._image) {
+            this._image = document.createElement('img');
+            this._image.style.display = 'block';
+            this._image.style.width = '100%';
+            this._image.style.height = '100%';
+        }
+        var image = this._image;
+        if (this._imageTarget !== target) {
+            DOMBuffer.assignProperty(target, 'textContent', '');
+            DOMBuffer.appendChild(target, image);
+            DOMBuffer.setAttribute(image, 'data-arvaid', this.id);
+            this._imageTarget = target;
+        }
+
+        var placeholder = this._placeholder;
+        DOMBuffer.assignProperty(target.style, 'backgroundColor', placeholder.color);
+        DOMBuffer.assignProperty(target.style, 'backgroundImage', placeholder.url ? 'url("' + placeholder.url + '")' : '');
+        DOMBuffer.assignProperty(target.style, 'backgroundSize', placeholder.url ? '100% 100%' : '');
+
+        var isLoaded = this._loadState === 'loaded';
+        DOMBuffer.assignProperty(image.style, 'transition', this._fadeIn ? 'opacity ' + this._crossfade + 'ms' : '');
+        DOMBuffer.assignProperty(image, 'src', isLoaded ? this._imageUrl : '');
+        DOMBuffer.assignProperty(image.style, 'opacity', isLoaded ? '1' : '0');
+        this._fadeIn = false;
+    }
+
     /**
      * Place the document element that this component manages into the document.
      *
@@ -103,13 +344,9 @@ define(function(require, exports, module) {
      * @param {Node} target document parent of this container
      */
     ImageSurface.prototype.deploy = function deploy(target) {
-        var urlIndex = urlCache.indexOf(this._imageUrl);
-        if (nodeCache[urlIndex] === undefined && cacheEnabled) {
-            var img = new Image();
-            img.src = this._imageUrl || '';
-            nodeCache[urlIndex] = img;
-        }
-        DOMBuffer.assignProperty(target, 'src', this._imageUrl || '');
+        if (this._placeholder) return _deployWithPlaceholder.call(this, target);
+        var isStarted = this._loadState !== 'pending';
+        DOMBuffer.assignProperty(target, 'src', (isStarted && this._imageUrl) || '');
     };
 
     /**
@@ -121,7 +358,15 @@ define(function(require, exports, module) {
      * @param {Node} target node to which the component was deployed
      */
     ImageSurface.prototype.recall = function recall(target) {
-      DOMBuffer.assignProperty(target, 'src', '');
+      if (this._placeholder) {
+        DOMBuffer.assignProperty(this._image, 'src', '');
+        DOMBuffer.removeChild(target, this._image);
+        DOMBuffer.assignProperty(target.style, 'backgroundColor', '');
+        DOMBuffer.assignProperty(target.style, 'backgroundImage', '');
+        DOMBuffer.assignProperty(target.style, 'backgroundSize', '');
+        this._imageTarget = null;
+      }
+      else DOMBuffer.assignProperty(target, 'src', '');
     };
 
     module.exports = ImageSurface;
@@ -10,6 +10,7 @@
 define(function (require, exports, module) {
   var Surface = require('../core/Surface');
   var DOMBuffer = require('../core/DOMBuffer');
+  var InputValidator = require('./InputValidator');
 
   /**
    * A Famo.us surface in the form of an HTML input element.
@@ -22,6 +23,7 @@ define(function (require, exports, module) {
    * @param {string} [options.placeholder] placeholder text hint that describes the expected value of an <input> element
    * @param {string} [options.type] specifies the type of element to display (e.g. 'datetime', 'text', 'button', etc.)
    * @param {string} [options.value] value of text
+   * @param {Object} [options.validation] validation rules, see InputValidator.setRules
    */
   function InputSurface(options) {
     this._placeholder = options.placeholder !== undefined ? options.placeholder : '';
@@ -30,6 +32,7 @@ define(function (require, exports, module) {
     this._name = options.name || '';
 
     Surface.apply(this, arguments);
+    this._validator = new InputValidator(this, options.validation);
 
     this.on('click', this.focus.bind(this));
     /* TODO: Determine if this code needs to be here and if so whether it can be integrated with DOMEventHandler */
@@ -44,6 +47,8 @@ define(function (require, exports, module) {
   InputSurface.prototype.elementType = 'input';
   InputSurface.prototype.elementClass = 'famous-surface';
 
+  InputValidator.mixInto(InputSurface.prototype);
+
   /**
    * Set placeholder text.  Note: Triggers a repaint.
    *
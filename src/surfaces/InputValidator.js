@@ -0,0 +1,362 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * @license MPL 2.0
+ * @copyright Famous Industries, Inc. 2015
+ */
+
+define(function(require, exports, module) {
+    var Timer = require('../utilities/Timer');
+
+    /**
+     * Validates the value of an input surface (e.g. InputSurface or TextareaSurface) against declarative rules.
+     *   The surfaces create their validator from the validation option, so it is usually configured through
+     *   the surface:
+     *
+     * @example
+     *
+     * var email = new InputSurface({
+     *     name: 'email',
+     *     validation: {
+     *         required: true,
+     *         pattern: /^[^@\s]+@[^@\s]+$/,
+     *         validators: [function(value, done) {
+     *             checkAvailable(value, function(available) {
+     *                 done(available ? null : 'This address is already registered');
+     *             });
+     *         }],
+     *         validateOn: ['input', 'change'],
+     *         messages: {pattern: 'Please enter an email address'}
+     *     }
+     * });
+     * email.on('invalid', function(event) { console.log(event.errors[0].message); });
+     *
+     *   Empty values are only checked by the required rule. The asynchronous validators only run when all other
+     *   rules pass, and a validation that is started while another one is still running replaces it: the
+     *   callbacks of the replaced validation get the result of the new one. A validation whose validators don't
+     *   call done within the timeout fails.
+     *
+     *   The result is emitted from the surface as a 'valid' or 'invalid' event ({value, errors}), and shown by
+     *   the state class of the surface: 'famous-validating', 'famous-valid' or 'famous-invalid'.
+     *
+     * @class InputValidator
+     * @constructor
+     * @param {Surface} surface surface with getValue, to validate and to emit the result from. The native
+     *   invalid events of its element aren't forwarded any longer.
+     * @param {Object} [rules] validation rules, see setRules
+     */
+    function InputValidator(surface, rules) {
+        this._surface = surface;
+        this._rules = {};
+        this._triggers = {};
+        this._state = 'none';
+        this._errors = [];
+        this._validationId = 0;
+        this._callbacks = [];
+        this._timeout = null;
+
+        /* The invalid event is emitted with the errors of the validation, instead of forwarded from the element */
+        var eventForwarder = surface.eventForwarder;
+        surface.eventForwarder = function(event) {
+            if (event.type !== 'invalid') eventForwarder(event);
+        };
+
+        this._surface.on('input', _onTrigger.bind(this, 'input'));
+        this._surface.on('change', _onTrigger.bind(this, 'change'));
+        if (rules) this.setRules(rules);
+    }
+
+    /**
+     * Messages of the rules, where '%s' is replaced by the value of the rule.
+     *
+     * @property MESSAGES
+     * @static
+     */
+    InputValidator.MESSAGES = {
+        required: 'This field is required',
+        pattern: 'This value has an invalid format',
+        minLength: 'This value must be at least %s characters long',
+        maxLength: 'This value must be at most %s characters long',
+        number: 'This value must be a number',
+        min: 'This value must be at least %s',
+        max: 'This value must be at most %s',
+        validator: 'This value is invalid',
+        timeout: 'This value could not be validated'
+    };
+
+    /**
+     * Milliseconds to wait for the asynchronous validators, unless given by the timeout rule.
+     *
+     * @property DEFAULT_TIMEOUT
+     * @static
+     */
+    InputValidator.DEFAULT_TIMEOUT = 10000;
+
+    /**
+     * Classes that are set on the surface for the states of validation.
+     *
+     * @property CLASSES
+     * @static
+     */
+    InputValidator.CLASSES = {
+        validating: 'famous-validating',
+        valid: 'famous-valid',
+        invalid: 'famous-invalid'
+    };
+
+    function _onTrigger(type) {
+        if (this._triggers[type] && this.hasRules()) this.validate();
+    }
+
+    function _error(rule, ruleValue) {
+        var message = (this._rules.messages && this._rules.messages[rule]) || InputValidator.MESSAGES[rule];
+        return {rule: rule, message: message.replace('%s', ruleValue)};
+    }
+
+    function _isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // Checks the synchronous rules, and returns the errors.
+    function _checkRules(value) {
+        var rules = this._rules;
+        var errors = [];
+        if (_isEmpty(value)) {
+            if (rules.required) errors.push(_error.call(this, 'required'));
+            return errors;
+        }
+
+        var str = String(value);
+        if (rules.pattern) {
+            var pattern = (rules.pattern instanceof RegExp) ? rules.pattern : new RegExp('^(?:' + rules.pattern + ')$');
+            pattern.lastIndex = 0;
+            if (!pattern.test(str)) errors.push(_error.call(this, 'pattern', pattern));
+        }
+        if (rules.minLength !== undefined && str.length < rules.minLength) {
+            errors.push(_error.call(this, 'minLength', rules.minLength));
+        }
+        if (rules.maxLength !== undefined && str.length > rules.maxLength) {
+            errors.push(_error.call(this, 'maxLength', rules.maxLength));
+        }
+        if (rules.min !== undefined || rules.max !== undefined) {
+            var number = Number(str);
+            if (str.trim() === '' || isNaN(number)) errors.push(_error.call(this, 'number'));
+            else if (rules.min !== undefined && number < rules.min) errors.push(_error.call(this, 'min', rules.min));
+            else if (rules.max !== undefined && number > rules.max) errors.push(_error.call(this, 'max', rules.max));
+        }
+        return errors;
+    }
+
+    function _setState(state, value, errors) {
+        var surface = this._surface;
+        if (this._state !== 'none') surface.removeClass(InputValidator.CLASSES[this._state]);
+        this._state = state;
+        this._errors = errors;
+        if (state !== 'none') surface.addClass(InputValidator.CLASSES[state]);
+        if (state === 'valid') surface.emit('valid', {value: value, errors: errors});
+        else if (state === 'invalid') surface.emit('invalid', {value: value, errors: errors});
+    }
+
+    function _clearTimeout() {
+        if (this._timeout) Timer.clear(this._timeout);
+        this._timeout = null;
+    }
+
+    // Completes the current validation, calling back all validations that wait for it.
+    function _complete(value, errors, updateState) {
+        _clearTimeout.call(this);
+        if (updateState) _setState.call(this, errors.length ? 'invalid' : 'valid', value, errors);
+        var callbacks = this._callbacks;
+        this._callbacks = [];
+        for (var i = 0; i < callbacks.length; i++) callbacks[i](!errors.length, errors);
+    }
+
+    /**
+     * Set the rules to validate the value against. This resets the state of validation.
+     *
+     * @method setRules
+     * @param {Object} rules
+     * @param {Boolean} [rules.required] whether the value may not be empty
+     * @param {RegExp|string} [rules.pattern] pattern that the value must match, where a string has to match the
+     *   whole value (like the pattern attribute of an input element)
+     * @param {Number} [rules.minLength] minimum number of characters
+     * @param {Number} [rules.maxLength] maximum number of characters
+     * @param {Number} [rules.min] minimum numeric value, requires the value to be a number
+     * @param {Number} [rules.max] maximum numeric value, requires the value to be a number
+     * @param {Array.Function} [rules.validators] custom validators, called as validator(value, done), that
+     *   report the result asynchronously with done(), or done(message) when the value is invalid
+     * @param {Number} [rules.timeout] milliseconds to wait for the validators (default DEFAULT_TIMEOUT)
+     * @param {string|Array.string} [rules.validateOn] events to validate on: 'input', 'change' and/or 'submit',
+     *   where 'submit' only validates when the surrounding FormContainerSurface is submitted (default 'change')
+     * @param {Object} [rules.messages] messages per rule, overriding InputValidator.MESSAGES
+     */
+    InputValidator.prototype.setRules = function setRules(rules) {
+        this._rules = rules || {};
+        var validateOn = this._rules.validateOn || 'change';
+        if (!(validateOn instanceof Array)) validateOn = [validateOn];
+        this._triggers = {};
+        for (var i = 0; i < validateOn.length; i++) this._triggers[validateOn[i]] = true;
+        this._validationId++;
+        _clearTimeout.call(this);
+        _setState.call(this, 'none', undefined, []);
+        if (this._callbacks.length) this.validate();
+    };
+
+    /**
+     * @method getRules
+     * @return {Object} the rules
+     */
+    InputValidator.prototype.getRules = function getRules() {
+        return this._rules;
+    };
+
+    /**
+     * @method hasRules
+     * @return {Boolean} whether there is any rule to validate against
+     */
+    InputValidator.prototype.hasRules = function hasRules() {
+        var rules = this._rules;
+        return !!(rules.required || rules.pattern || rules.minLength !== undefined ||
+            rules.maxLength !== undefined || rules.min !== undefined || rules.max !== undefined ||
+            (rules.validators && rules.validators.length));
+    };
+
+    /**
+     * Validate the current value of the surface. Without rules, the value is valid without changing the state.
+     *
+     * @method validate
+     * @param {Function} [callback] called with (valid, errors) when the validation completes, or when a later
+     *   validation that replaced it completes
+     */
+    InputValidator.prototype.validate = function validate(callback) {
+        var id = ++this._validationId;
+        _clearTimeout.call(this);
+        if (callback) this._callbacks.push(callback);
+        if (!this.hasRules()) {
+            _complete.call(this, undefined, [], false);
+            return;
+        }
+
+        var value = this._surface.getValue();
+        var errors = _checkRules.call(this, value);
+        var validators = this._rules.validators || [];
+        if (errors.length || !validators.length || _isEmpty(value)) {
+            _complete.call(this, value, errors, true);
+            return;
+        }
+
+        var pending = validators.length;
+        var finish = function(error) {
+            if (pending <= 0 || id !== this._validationId) return;
+            if (error) errors.push(error);
+            if (error && error.rule === 'timeout') pending = 0;
+            else pending--;
+            if (pending === 0) _complete.call(this, value, errors, true);
+        }.bind(this);
+        function done(message) {
+            var text = (typeof message === 'string') ? message : InputValidator.MESSAGES.validator;
+            finish(message ? {rule: 'validator', message: text} : null);
+        }
+
+        _setState.call(this, 'validating', value, []);
+        var timeout = (this._rules.timeout !== undefined) ? this._rules.timeout : InputValidator.DEFAULT_TIMEOUT;
+        var timeoutError = {rule: 'timeout', message: InputValidator.MESSAGES.timeout};
+        this._timeout = Timer.setTimeout(finish.bind(null, timeoutError), timeout);
+        for (var i = 0; i < validators.length; i++) validators[i].call(this._surface, value, done);
+    };
+
+    /**
+     * @method getState
+     * @return {string} 'none' when not validated, 'validating', 'valid' or 'invalid'
+     */
+    InputValidator.prototype.getState = function getState() {
+        return this._state;
+    };
+
+    /**
+     * @method isValid
+     * @return {Boolean} whether the last validation completed without errors
+     */
+    InputValidator.prototype.isValid = function isValid() {
+        return this._state === 'valid' || (this._state === 'none' && !this.hasRules());
+    };
+
+    /**
+     * @method getErrors
+     * @return {Array.Object} the errors ({rule, message}) of the last validation
+     */
+    InputValidator.prototype.getErrors = function getErrors() {
+        return this._errors;
+    };
+
+    /**
+     * The validation methods of input surfaces, which delegate to the InputValidator in their _validator.
+     *
+     * @property mixin
+     * @static
+     */
+    InputValidator.mixin = {
+        /**
+         * Set the rules to validate the value against, see InputValidator.setRules.
+         *
+         * @method setValidation
+         * @param {Object} rules validation rules, e.g. {required: true, maxLength: 80}
+         * @return {Surface} this, allowing method chaining.
+         */
+        setValidation: function setValidation(rules) {
+            this._validator.setRules(rules);
+            return this;
+        },
+
+        /**
+         * Validate the current value, which emits a 'valid' or 'invalid' event and updates the state class.
+         *
+         * @method validate
+         * @param {Function} [callback] called with (valid, errors) when the validation completes
+         * @return {Surface} this, allowing method chaining.
+         */
+        validate: function validate(callback) {
+            this._validator.validate(callback);
+            return this;
+        },
+
+        /**
+         * @method isValid
+         * @return {Boolean} whether the value passed the last validation, or there are no rules
+         */
+        isValid: function isValid() {
+            return this._validator.isValid();
+        },
+
+        /**
+         * @method getValidationState
+         * @return {string} 'none' when not validated, 'validating', 'valid' or 'invalid'
+         */
+        getValidationState: function getValidationState() {
+            return this._validator.getState();
+        },
+
+        /**
+         * @method getValidationErrors
+         * @return {Array.Object} the errors ({rule, message}) of the last validation
+         */
+        getValidationErrors: function getValidationErrors() {
+            return this._validator.getErrors();
+        }
+    };
+
+    /**
+     * Adds the validation methods of InputValidator.mixin to the prototype of an input surface, whose constructor
+     *   creates the validator as this._validator.
+     *
+     * @static
+     * @method mixInto
+     * @param {Object} prototype prototype of the surface class
+     */
+    InputValidator.mixInto = function mixInto(prototype) {
+        for (var name in InputValidator.mixin) prototype[name] = InputValidator.mixin[name];
+    };
+
+    module.exports = InputValidator;
+});
@@ -0,0 +1,388 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ * @license MPL 2.0
+ * @copyright Famous Industries, Inc. 2015
+ */
+
+define(function(require, exports, module) {
+    var Surface = require('../core/Surface');
+    var DOMBuffer = require('../core/DOMBuffer');
+    var Transitionable = require('../transitions/Transitionable');
+
+    var SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    /* Amount of parameters of each path command, used to find the flags of arcs */
+    var ARC_PARAMETERS = 7;
+    /* Interpolated path values are rounded to 3 decimals, to keep the path data short */
+    var PRECISION = 1000;
+    var commandPattern = /([MmLlHhVvCcSsQqTtAaZz])([^MmLlHhVvCcSsQqTtAaZz]*)/g;
+    var numberPattern = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+
+    /**
+     * A surface containing an inline SVG document, which stays crisp at any scale.
+     *   This extends the Surface class.
+     *
+     *   The surface owns an <svg> root element that fills the surface. The content is SVG markup (or SVG nodes)
+     *   for the shapes inside the root. Shapes can be looked up with querySelector or created with createShape,
+     *   and their attributes are written through the DOMBuffer, like all other writes to the document.
+     *
+     *   Attributes can be bound to a Transitionable (or anything else with a get method) with bindAttribute. The
+     *   bound value is read on every commit and written when it changed, so e.g. a stroke-dashoffset or fill can
+     *   be animated without a render function. morphPath animates the d attribute of a path into another path
+     *   with the same commands.
+     *
+     * @example
+     *
+     * var icon = new SVGSurface({
+     *     size: [48, 48],
+     *     viewBox: [0, 0, 24, 24],
+     *     content: '<path id="shape" d="M4 12 L10 18 L20 6" stroke="white" fill="none"/>'
+     * });
+     * icon.morphPath(icon.querySelector('#shape'), 'M6 6 L12 12 L18 18', {duration: 300});
+     *
+     * @class SVGSurface
+     * @extends Surface
+     * @constructor
+     * @param {Object} [options] overrides of default options
+     * @param {Array.Number} [options.viewBox] [x, y, width, height] of the coordinate system of the content
+     * @param {string} [options.preserveAspectRatio] how the viewBox is fit in the surface, e.g. 'xMidYMid meet'
+     */
+    function SVGSurface(options) {
+        this._svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        this._svg.setAttribute('width', '100%');
+        this._svg.setAttribute('height', '100%');
+        this._svg.style.display = 'block';
+        this._svgTarget = null;
+        this._shapes = [];
+        this._bindings = [];
+        Surface.apply(this, arguments);
+        if (options && options.viewBox) this.setViewBox(options.viewBox);
+        if (options && options.preserveAspectRatio) this.setPreserveAspectRatio(options.preserveAspectRatio);
+    }
+
+    SVGSurface.prototype = Object.create(Surface.prototype);
+    SVGSurface.prototype.constructor = SVGSurface;
+    SVGSurface.prototype.elementType = 'div';
+    SVGSurface.prototype.elementClass = 'famous-surface';
+
+    /**
+     * Parses the d attribute of a path into its segments.
+     *
+     * @static
+     * @method parsePath
+     * @param {string} path path data, e.g. 'M0 0 L10 10 Z'
+     * @return {Array.Object} segments with a command letter and its numeric values
+     */
+    SVGSurface.parsePath = function parsePath(path) {
+        var segments = [];
+        var match;
+        commandPattern.lastIndex = 0;
+        while ((match = commandPattern.exec(path || ''))) {
+            var values = match[2].match(numberPattern) || [];
+            for (var i = 0; i < values.length; i++) values[i] = parseFloat(values[i]);
+            segments.push({command: match[1], values: values});
+        }
+        return segments;
+    };
+
+    /**
+     * Whether two paths can be morphed into each other, which requires the same commands with the same amount
+     *   of values, in the same order.
+     *
+     * @static
+     * @method isMorphable
+     * @param {string} from path data
+     * @param {string} to path data
+     * @return {Boolean} whether the paths are compatible
+     */
+    SVGSurface.isMorphable = function isMorphable(from, to) {
+        return _isCompatible(SVGSurface.parsePath(from), SVGSurface.parsePath(to));
+    };
+
+    function _isCompatible(fromSegments, toSegments) {
+        if (!fromSegments.length || fromSegments.length !== toSegments.length) return false;
+        for (var i = 0; i < fromSegments.length; i++) {
+            if (fromSegments[i].command !== toSegments[i].command) return false;
+            if (fromSegments[i].values.length !== toSegments[i].values.length) return false;
+        }
+        return true;
+    }
+
+    function _flatten(segments) {
+        var result = [];
+        for (var i = 0; i < segments.length; i++) result.push.apply(result, segments[i].values);
+        return result;
+    }
+
+    // Returns a formatter that writes a flat list of values back into the commands of the segments.
+    function _createPathFormatter(segments) {
+        return function(values) {
+            var parts = [];
+            var index = 0;
+            for (var i = 0; i < segments.length; i++) {
+                var segment = segments[i];
+                var isArc = segment.command === 'A' || segment.command === 'a';
+                var part = segment.command;
+                for (var j = 0; j < segment.values.length; j++) {
+                    var value = values[index++];
+                    /* The large-arc and sweep flags can't be interpolated */
+                    var parameter = j % ARC_PARAMETERS;
+                    if (isArc && (parameter === 3 || parameter === 4)) value = Math.round(value);
+                    else value = Math.round(value * PRECISION) / PRECISION;
+                    part += (j ? ' ' : '') + value;
+                }
+                parts.push(part);
+            }
+            return parts.join(' ');
+        };
+    }
+
+    function _formatValue(value) {
+        if (value instanceof Array) return value.join(' ');
+        return String(value);
+    }
+
+    /**
+     * Set the shapes inside the svg root. This replaces all shapes, including those created with createShape,
+     *   and removes all attribute bindings.
+     *
+     * @method setContent
+     * @chainable
+     * @param {string|Node} content SVG markup, an SVG element or a document fragment with SVG elements
+     */
+    SVGSurface.prototype.setContent = function setContent(content) {
+        var shapes;
+        if (content instanceof Node) {
+            shapes = content.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? Array.prototype.slice.call(content.childNodes) : [content];
+        }
+        else {
+            /* Parsing in a detached svg element creates the nodes in the SVG namespace */
+            var holder = document.createElementNS(SVG_NAMESPACE, 'svg');
+            holder.innerHTML = content || '';
+            shapes = Array.prototype.slice.call(holder.childNodes);
+        }
+        this.content = content;
+        this._shapes = shapes;
+        this._bindings = [];
+        this._contentDirty = true;
+        return this;
+    };
+
+    /**
+     * @method getRootElement
+     * @return {SVGElement} the svg root element that contains the shapes
+     */
+    SVGSurface.prototype.getRootElement = function getRootElement() {
+        return this._svg;
+    };
+
+    /**
+     * Returns the first shape (or descendant of a shape) matching a selector.
+     *
+     * @method querySelector
+     * @param {string} selector CSS selector, e.g. '#needle'
+     * @return {SVGElement} the matching element, or null
+     */
+    SVGSurface.prototype.querySelector = function querySelector(selector) {
+        for (var i = 0; i < this._shapes.length; i++) {
+            var shape = this._shapes[i];
+            if (shape.nodeType !== Node.ELEMENT_NODE) continue;
+            if (shape.matches(selector)) return shape;
+            var result = shape.querySelector(selector);
+            if (result) return result;
+        }
+        return null;
+    };
+
+    /**
+     * Set the coordinate system of the content.
+     *
+     * @method setViewBox
+     * @param {Array.Number} viewBox [x, y, width, height]
+     */
+    SVGSurface.prototype.setViewBox = function setViewBox(viewBox) {
+        DOMBuffer.setAttribute(this._svg, 'viewBox', viewBox.join(' '));
+    };
+
+    /**
+     * Set how the viewBox is fit in the surface.
+     *
+     * @method setPreserveAspectRatio
+     * @param {string} value e.g. 'xMidYMid meet' or 'none'
+     */
+    SVGSurface.prototype.setPreserveAspectRatio = function setPreserveAspectRatio(value) {
+        DOMBuffer.setAttribute(this._svg, 'preserveAspectRatio', value);
+    };
+
+    /**
+     * Creates a shape and appends it to the root, or to another shape (e.g. a group).
+     *
+     * @method createShape
+     * @param {string} tagName e.g. 'path', 'circle' or 'g'
+     * @param {Object} [attributes] dictionary of attribute => value
+     * @param {SVGElement} [parent] shape to append the new shape to
+     * @return {SVGElement} the new shape
+     */
+    SVGSurface.prototype.createShape = function createShape(tagName, attributes, parent) {
+        var shape = document.createElementNS(SVG_NAMESPACE, tagName);
+        for (var name in attributes) shape.setAttribute(name, _formatValue(attributes[name]));
+        if (this._currentTarget) shape.setAttribute('data-arvaid', this.id);
+        if (!parent) this._shapes.push(shape);
+        DOMBuffer.appendChild(parent || this._svg, shape);
+        return shape;
+    };
+
+    /**
+     * Removes a shape, together with the bindings of its attributes.
+     *
+     * @method removeShape
+     * @param {SVGElement} shape shape to remove
+     * @param {SVGElement} [parent] shape that it was appended to, if it isn't in the root
+     */
+    SVGSurface.prototype.removeShape = function removeShape(shape, parent) {
+        var index = this._shapes.indexOf(shape);
+        if (index >= 0) this._shapes.splice(index, 1);
+        this._bindings = this._bindings.filter(function(binding) {
+            return binding.element !== shape;
+        });
+        DOMBuffer.removeChild(parent || this._svg, shape);
+    };
+
+    /**
+     * Set attributes of a shape. A value of null or undefined removes the attribute. Bindings of the attributes
+     *   are removed.
+     *
+     * @method setShapeAttributes
+     * @param {SVGElement} shape shape to update
+     * @param {Object} attributes dictionary of attribute => value, where arrays are joined with spaces
+     */
+    SVGSurface.prototype.setShapeAttributes = function setShapeAttributes(shape, attributes) {
+        for (var name in attributes) {
+            this.unbindAttribute(shape, name);
+            var value = attributes[name];
+            if (value === null || value === undefined) DOMBuffer.removeAttribute(shape, name);
+            else DOMBuffer.setAttribute(shape, name, _formatValue(value));
+        }
+    };
+
+    /**
+     * Bind an attribute of a shape to a Transitionable. The value is read on every commit and written when it
+     *   changed. An existing binding of the attribute is replaced.
+     *
+     * @example
+     *
+     * var fill = new Transitionable([255, 0, 0]);
+     * svgSurface.bindAttribute(circle, 'fill', fill, function(rgb) {
+     *     return 'rgb(' + rgb.map(Math.round).join(',') + ')';
+     * });
+     * fill.set([0, 0, 255], {duration: 500});
+     *
+     * @method bindAttribute
+     * @param {SVGElement} shape shape to update
+     * @param {string} name name of the attribute, e.g. 'stroke-dashoffset'
+     * @param {Transitionable|Object} source object with a get method that returns the value
+     * @param {Function} [format] converts the value to the attribute value, by default arrays are joined with spaces
+     */
+    SVGSurface.prototype.bindAttribute = function bindAttribute(shape, name, source, format) {
+        this.unbindAttribute(shape, name);
+        this._bindings.push({element: shape, name: name, source: source, format: format || _formatValue, value: undefined});
+    };
+
+    /**
+     * Remove the binding of an attribute. The attribute keeps its last written value.
+     *
+     * @method unbindAttribute
+     * @param {SVGElement} shape shape that the attribute belongs to
+     * @param {string} name name of the attribute
+     */
+    SVGSurface.prototype.unbindAttribute = function unbindAttribute(shape, name) {
+        for (var i = 0; i < this._bindings.length; i++) {
+            if (this._bindings[i].element === shape && this._bindings[i].name === name) {
+                this._bindings.splice(i, 1);
+                return;
+            }
+        }
+    };
+
+    /**
+     * Morph the d attribute of a path into another path. The paths need to have the same commands with the same
+     *   amount of values (see isMorphable), since the values are interpolated pairwise.
+     *
+     * @method morphPath
+     * @param {SVGPathElement} shape path to morph
+     * @param {string} path path data to morph into
+     * @param {Object} [transition] transition definition, e.g. {duration: 300, curve: 'easeInOut'}
+     * @param {Function} [callback] called when the morph is done
+     */
+    SVGSurface.prototype.morphPath = function morphPath(shape, path, transition, callback) {
+        var fromPath = shape.getAttribute('d');
+        /* A bound path starts from its current value, which isn't written yet before the next commit */
+        for (var i = 0; i < this._bindings.length; i++) {
+            var binding = this._bindings[i];
+            if (binding.element === shape && binding.name === 'd') fromPath = binding.format(binding.source.get());
+        }
+        var fromSegments = SVGSurface.parsePath(fromPath);
+        var toSegments = SVGSurface.parsePath(path);
+        if (!_isCompatible(fromSegments, toSegments)) {
+            throw new Error('SVGSurface: can\'t morph "' + fromPath + '" into "' + path + '", their commands differ');
+        }
+        var transitionable = new Transitionable(_flatten(fromSegments));
+        transitionable.set(_flatten(toSegments), transition, callback);
+        this.bindAttribute(shape, 'd', transitionable, _createPathFormatter(toSegments));
+    };
+
+    /**
+     * Apply changes from this component to the corresponding document element, and write the bound attributes
+     *   that changed.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    SVGSurface.prototype.commit = function commit(context) {
+        Surface.prototype.commit.call(this, context);
+        for (var i = 0; i < this._bindings.length; i++) {
+            var binding = this._bindings[i];
+            var value = binding.format(binding.source.get());
+            if (value === binding.value) continue;
+            binding.value = value;
+            DOMBuffer.setAttribute(binding.element, binding.name, value);
+        }
+    };
+
+    /**
+     * Place the document element that this component manages into the document.
+     *
+     * @private
+     * @method deploy
+     * @param {Node} target document parent of this container
+     */
+    SVGSurface.prototype.deploy = function deploy(target) {
+        DOMBuffer.assignProperty(this._svg, 'textContent', '');
+        for (var i = 0; i < this._shapes.length; i++) DOMBuffer.appendChild(this._svg, this._shapes[i]);
+        if (this._svgTarget !== target) {
+            DOMBuffer.assignProperty(target, 'textContent', '');
+            DOMBuffer.appendChild(target, this._svg);
+            this._svgTarget = target;
+        }
+        DOMBuffer.setAttributeOnDescendants(target, 'data-arvaid', this.id);
+    };
+
+    /**
+     * Remove this component and contained content from the document
+     *
+     * @private
+     * @method recall
+     *
+     * @param {Node} target node to which the component was deployed
+     */
+    SVGSurface.prototype.recall = function recall(target) {
+        DOMBuffer.removeChild(target, this._svg);
+        this._svgTarget = null;
+        this._contentDirty = true;
+    };
+
+    module.exports = SVGSurface;
+});
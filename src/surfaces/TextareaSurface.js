@@ -9,6 +9,7 @@
 
 define(function(require, exports, module) {
     var Surface = require('../core/Surface');
+    var InputValidator = require('./InputValidator');
 
     /**
      * A Famo.us surface in the form of an HTML textarea element.
@@ -24,6 +25,7 @@ define(function(require, exports, module) {
      * @param {string} [options.wrap] specify 'hard' or 'soft' wrap for textarea
      * @param {number} [options.cols] number of columns in textarea
      * @param {number} [options.rows] number of rows in textarea
+     * @param {Object} [options.validation] validation rules, see InputValidator.setRules
      */
     function TextareaSurface(options) {
         this._placeholder = options.placeholder || '';
@@ -34,6 +36,7 @@ define(function(require, exports, module) {
         this._rows        = options.rows || '';
 
         Surface.apply(this, arguments);
+        this._validator = new InputValidator(this, options.validation);
         this.on('click', this.focus.bind(this));
     }
     TextareaSurface.prototype = Object.create(Surface.prototype);
@@ -42,6 +45,8 @@ define(function(require, exports, module) {
     TextareaSurface.prototype.elementType = 'textarea';
     TextareaSurface.prototype.elementClass = 'famous-surface';
 
+    InputValidator.mixInto(TextareaSurface.prototype);
+
     /**
      * Set placeholder text.  Note: Triggers a repaint.
      *
@@ -9,14 +9,18 @@
 
 define(function(require, exports, module) {
     var Surface = require('../core/Surface');
+    var Transitionable = require('../transitions/Transitionable');
 
     /**
-     * Creates a famous surface containing video content. Currently adding
-     *   controls and manipulating the video are not supported through the
-     *   surface interface, but can be accomplished via standard JavaScript
-     *   manipulation of the video DOM element.
+     * Creates a famous surface containing video content.
      *   This extends the Surface class.
      *
+     *   Playback is controlled through play, pause, seek, setVolume and setPlaybackRate. The surface keeps the
+     *   playback state, so that it survives the video element being recalled and deployed again by the
+     *   allocator, e.g. when the surface leaves and re-enters the render tree: the video resumes at the same
+     *   time, volume and rate, and keeps playing if it was playing. Media events (e.g. 'timeupdate', 'ended'
+     *   and 'waiting', see VideoSurface.MEDIA_EVENTS) are emitted through the event output of the surface.
+     *
      * @class VideoSurface
      * @extends Surface
      * @constructor
@@ -28,6 +32,12 @@ define(function(require, exports, module) {
      * @param {boolean} [options.autoplay] autoplay
      */
     function VideoSurface(options) {
+        this._playing = false;
+        this._currentTime = 0;
+        this._playbackRate = 1;
+        this._volume = new Transitionable(1);
+        this._appliedVolume = undefined;
+        this._mediaListener = _onMediaEvent.bind(this);
         Surface.apply(this, arguments);
         this._videoUrl = undefined;
         this.options = Object.create(VideoSurface.DEFAULT_OPTIONS);
@@ -41,9 +51,52 @@ define(function(require, exports, module) {
         autoplay: false
     };
 
+    /* The media events of the video element that are emitted by the surface */
+    VideoSurface.MEDIA_EVENTS = [
+        'loadedmetadata', 'durationchange', 'canplay', 'canplaythrough', 'progress', 'play', 'playing', 'pause',
+        'waiting', 'seeking', 'seeked', 'timeupdate', 'ratechange', 'volumechange', 'ended', 'error'
+    ];
+
     VideoSurface.prototype.elementType = 'video';
     VideoSurface.prototype.elementClass = 'famous-surface';
 
+    // Keeps the playback state in sync with the element (which can also be controlled by its native controls),
+    //  and emits the event.
+    function _onMediaEvent(event) {
+        var target = this._currentTarget;
+        if (!target) return;
+        if (event.type === 'play') this._playing = true;
+        else if (event.type === 'pause' || event.type === 'ended') this._playing = false;
+        else if (event.type === 'timeupdate' || event.type === 'seeked') this._currentTime = target.currentTime;
+        else if (event.type === 'ratechange') this._playbackRate = target.playbackRate;
+        this._eventOutput.emit(event.type, event);
+    }
+
+    function _play(target) {
+        var result = target.play();
+        /* Browsers reject playing e.g. unmuted videos without user interaction */
+        if (result && result.catch) {
+            result.catch(function(error) {
+                if (this._currentTarget !== target) return;
+                this._playing = false;
+                this._eventOutput.emit('playrejected', {error: error});
+            }.bind(this));
+        }
+    }
+
+    // Seeks the element, waiting for the metadata if it isn't loaded yet.
+    function _seek(target, time) {
+        if (target.readyState >= 1) {
+            target.currentTime = time;
+            return;
+        }
+        var onMetadata = function() {
+            target.removeEventListener('loadedmetadata', onMetadata);
+            if (this._currentTarget === target) target.currentTime = this._currentTime;
+        }.bind(this);
+        target.addEventListener('loadedmetadata', onMetadata);
+    }
+
     /**
      * Set internal options, overriding any default options
      *
@@ -64,19 +117,164 @@ define(function(require, exports, module) {
     };
 
     /**
-     * Set url of the video.
+     * Set url of the video. This resets the playback time.
      *
      * @method setContent
      * @param {string} videoUrl URL
      */
     VideoSurface.prototype.setContent = function setContent(videoUrl) {
         this._videoUrl = videoUrl;
+        this._currentTime = 0;
         this._contentDirty = true;
     };
 
+    /**
+     * Start or resume playing.
+     *
+     * @method play
+     */
+    VideoSurface.prototype.play = function play() {
+        this._playing = true;
+        if (this._currentTarget) _play.call(this, this._currentTarget);
+    };
+
+    /**
+     * Pause playing.
+     *
+     * @method pause
+     */
+    VideoSurface.prototype.pause = function pause() {
+        this._playing = false;
+        if (this._currentTarget) this._currentTarget.pause();
+    };
+
+    /**
+     * @method isPlaying
+     * @return {Boolean} whether the video is playing, or will be when it is deployed
+     */
+    VideoSurface.prototype.isPlaying = function isPlaying() {
+        return this._playing;
+    };
+
+    /**
+     * Jump to a time in the video.
+     *
+     * @method seek
+     * @param {Number} time time in seconds
+     */
+    VideoSurface.prototype.seek = function seek(time) {
+        this._currentTime = time;
+        if (this._currentTarget) _seek.call(this, this._currentTarget, time);
+    };
+
+    /**
+     * @method getCurrentTime
+     * @return {Number} current playback time in seconds
+     */
+    VideoSurface.prototype.getCurrentTime = function getCurrentTime() {
+        var target = this._currentTarget;
+        return (target && target.readyState >= 1) ? target.currentTime : this._currentTime;
+    };
+
+    /**
+     * @method getDuration
+     * @return {Number} duration of the video in seconds, or NaN if it isn't known yet
+     */
+    VideoSurface.prototype.getDuration = function getDuration() {
+        return this._currentTarget ? this._currentTarget.duration : NaN;
+    };
+
+    /**
+     * Set the volume, e.g. fading out with setVolume(0, {duration: 500}).
+     *
+     * @method setVolume
+     * @param {Number} volume volume between 0 and 1
+     * @param {Object} [transition] transition definition to fade to the volume
+     * @param {Function} [callback] called when the volume is reached
+     */
+    VideoSurface.prototype.setVolume = function setVolume(volume, transition, callback) {
+        this._volume.halt();
+        this._volume.set(volume, transition, callback);
+    };
+
+    /**
+     * @method getVolume
+     * @return {Number} current volume between 0 and 1
+     */
+    VideoSurface.prototype.getVolume = function getVolume() {
+        return this._volume.get();
+    };
+
+    /**
+     * Set the speed of playing.
+     *
+     * @method setPlaybackRate
+     * @param {Number} rate playback rate, where 1 is normal speed
+     */
+    VideoSurface.prototype.setPlaybackRate = function setPlaybackRate(rate) {
+        this._playbackRate = rate;
+        if (this._currentTarget) this._currentTarget.playbackRate = rate;
+    };
+
+    /**
+     * @method getPlaybackRate
+     * @return {Number} playback rate, where 1 is normal speed
+     */
+    VideoSurface.prototype.getPlaybackRate = function getPlaybackRate() {
+        return this._playbackRate;
+    };
+
+    /**
+     * Apply changes from this component to the corresponding document element, including the (fading) volume.
+     *
+     * @private
+     * @method commit
+     * @param {Context} context commit context
+     */
+    VideoSurface.prototype.commit = function commit(context) {
+        Surface.prototype.commit.call(this, context);
+        var volume = Math.min(Math.max(this._volume.get(), 0), 1);
+        if (volume !== this._appliedVolume) {
+            this._appliedVolume = volume;
+            this._currentTarget.volume = volume;
+        }
+    };
+
+    /**
+     * Attaches the listeners of the media events to the element.
+     *
+     * @private
+     * @method attach
+     * @param {Node} target the allocated element
+     */
+    VideoSurface.prototype.attach = function attach(target) {
+        Surface.prototype.attach.call(this, target);
+        for (var i = 0; i < VideoSurface.MEDIA_EVENTS.length; i++) {
+            target.addEventListener(VideoSurface.MEDIA_EVENTS[i], this._mediaListener);
+        }
+    };
+
+    function _removeMediaListeners(target) {
+        for (var i = 0; i < VideoSurface.MEDIA_EVENTS.length; i++) {
+            target.removeEventListener(VideoSurface.MEDIA_EVENTS[i], this._mediaListener);
+        }
+    }
+
+    /**
+     * Detaches the listeners of the media events from the element.
+     *
+     * @private
+     * @method detach
+     */
+    VideoSurface.prototype.detach = function detach() {
+        if (this._element) _removeMediaListeners.call(this, this._element);
+        return Surface.prototype.detach.apply(this, arguments);
+    };
+
     /**
      * Place the document element this component manages into the document.
-     *   Note: In the case of VideoSurface, simply changes the options on the target.
+     *   Note: In the case of VideoSurface, simply changes the options on the target, and restores the playback
+     *   state.
      *
      * @private
      * @method deploy
@@ -85,10 +283,14 @@ define(function(require, exports, module) {
     VideoSurface.prototype.deploy = function deploy(target) {
         target.src = this._videoUrl;
         target.autoplay = this.options.autoplay;
+        target.playbackRate = this._playbackRate;
+        this._appliedVolume = undefined;
+        if (this._currentTime) _seek.call(this, target, this._currentTime);
+        if (this._playing) _play.call(this, target);
     };
 
     /**
-     * Remove this component and contained content from the document.
+     * Remove this component and contained content from the document, after saving the playback state.
      *   Note: This doesn't actually remove the <video> element from the
      *   document.
      * @private
@@ -97,6 +299,10 @@ define(function(require, exports, module) {
      * @param {Node} target node to which the component was deployed
      */
     VideoSurface.prototype.recall = function recall(target) {
+        /* Emptying the source pauses the element, which shouldn't change the saved state */
+        _removeMediaListeners.call(this, target);
+        if (target.readyState >= 1) this._currentTime = target.currentTime;
+        this._playing = this._playing && !target.ended;
         target.src = '';
     };
 
@@ -190,7 +190,7 @@ define(function(require, exports, module) {
      * @method get
      *
      * @param {number=} timestamp Evaluate the curve at a normalized version of this
-     *    time. If omitted, use current time. (Unix epoch time)
+     *    time. If omitted, use current time. (see Clock.now)
      * @return {number|Object.<number|string, number>} beginning state
      *    interpolated to this point in time.
      */
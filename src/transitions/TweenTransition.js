@@ -8,6 +8,7 @@
  */
 
 define(function(require, exports, module) {
+    var Clock = require('../core/Clock');
 
     /**
      *
@@ -247,7 +248,7 @@ define(function(require, exports, module) {
             }
         }
 
-        this._startTime = Date.now();
+        this._startTime = Clock.now();
         this._endValue = _clone(endValue);
         this._startVelocity = _clone(transition.velocity);
         this._duration = transition.duration;
@@ -302,7 +303,7 @@ define(function(require, exports, module) {
      *
      *
      * @param {number=} timestamp Evaluate the curve at a normalized version of this
-     *    time. If omitted, use current time. (Unix epoch time)
+     *    time. If omitted, use current time. (see Clock.now)
      * @return {number|Object.<number|string, number>} beginning state
      *    _interpolated to this point in time.
      */
@@ -352,7 +353,7 @@ define(function(require, exports, module) {
      *
      *
      * @param {number=} timestamp Evaluate the curve at a normalized version of this
-     *    time. If omitted, use current time. (Unix epoch time)
+     *    time. If omitted, use current time. (see Clock.now)
      */
     TweenTransition.prototype.update = function update(timestamp) {
         if (!this._active) {
@@ -364,7 +365,7 @@ define(function(require, exports, module) {
             return;
         }
 
-        if (!timestamp) timestamp = Date.now();
+        if (!timestamp) timestamp = Clock.now();
         if (this._updateTime >= timestamp) return;
         this._updateTime = timestamp;
 
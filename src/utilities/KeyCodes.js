@@ -83,6 +83,10 @@ define(function(require, exports, module) {
         RIGHT_ARROW: 39,
         UP_ARROW: 38,
         DOWN_ARROW: 40,
+        PAGE_UP: 33,
+        PAGE_DOWN: 34,
+        END: 35,
+        HOME: 36,
         SPACE: 32,
         SHIFT: 16,
         TAB: 9
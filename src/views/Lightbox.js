@@ -4,6 +4,7 @@ define(function(require, exports, module) {
     var RenderNode = require('../core/RenderNode');
     var Utility = require('../utilities/Utility');
     var OptionsManager = require('../core/OptionsManager');
+    var FocusManager = require('../core/FocusManager');
     var Transitionable = require('../transitions/Transitionable');
     var TransitionableTransform = require('../transitions/TransitionableTransform');
 
@@ -41,6 +42,8 @@ define(function(require, exports, module) {
      * @param {Boolean} [options.overlap=false] When showing a new renderable, overlap determines if the
      *   out transition of the old one executes concurrently with the in transition of the new one,
       *  or synchronously beforehand.
+     * @param {Boolean} [options.trapFocus=false] When true, the focus of the FocusManager is kept inside the shown
+     *   renderable (as for a modal) until it is hidden, after which the focus returns to where it was.
      */
     function Lightbox(options) {
         this.options = Object.create(Lightbox.DEFAULT_OPTIONS);
@@ -49,6 +52,8 @@ define(function(require, exports, module) {
         if (options) this.setOptions(options);
 
         this._showing = false;
+        this._focusGroup = null;
+        this._focusTrapped = false;
         this.nodes = [];
         this.transforms = [];
         this.states = [];
@@ -69,7 +74,8 @@ define(function(require, exports, module) {
         showAlign: [0.5, 0.5],
         inTransition: true,
         outTransition: true,
-        overlap: false
+        overlap: false,
+        trapFocus: false
     };
 
     /**
@@ -109,6 +115,12 @@ define(function(require, exports, module) {
         }
         this._showing = true;
 
+        if (this.options.trapFocus) {
+            if (!this._focusGroup) this._focusGroup = FocusManager.createGroup();
+            FocusManager.trap(this._focusGroup);
+            this._focusTrapped = true;
+        }
+
         var stateItem = {
             transform: new TransitionableTransform(this.options.inTransform),
             origin: new Transitionable(this.options.inOrigin),
@@ -148,6 +160,11 @@ define(function(require, exports, module) {
         if (!this._showing) return;
         this._showing = false;
 
+        if (this._focusTrapped) {
+            this._focusTrapped = false;
+            FocusManager.releaseTrap(this._focusGroup);
+        }
+
         if (transition instanceof Function) {
             callback = transition;
             transition = undefined;
@@ -182,6 +199,8 @@ define(function(require, exports, module) {
         for (var i = 0; i < this.nodes.length; i++) {
             result.push(this.nodes[i].render());
         }
+        /* The focus is trapped in the renderable that is shown last */
+        if (this._focusTrapped) this._focusGroup.setFromRenderSpec(result[result.length - 1]);
         return result;
     };
 
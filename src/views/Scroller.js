@@ -32,6 +32,7 @@ define(function(require, exports, module) {
 
         // used for shifting nodes
         this._positionOffset = 0;
+        this._renderedItems = [];
 
         this._positionGetter = null;
         this._outputFunction = null;
@@ -72,10 +73,52 @@ define(function(require, exports, module) {
     function _output(node, offset, target) {
         var size = node.getSize ? node.getSize() : this._contextSize;
         var transform = this._outputFunction(offset);
-        target.push({transform: transform, target: node.render()});
-        return _sizeForDir.call(this, size);
+        var spec = node.render();
+        target.push({transform: transform, target: spec});
+        var sizeForDir = _sizeForDir.call(this, size);
+        this._renderedItems.push({offset: offset, size: sizeForDir, spec: spec});
+        return sizeForDir;
     }
 
+    // Returns whether a render spec contains the given entity id
+    function _specContains(spec, id) {
+        if (typeof spec === 'number') return spec === id;
+        if (spec instanceof Array) {
+            for (var i = 0; i < spec.length; i++) {
+                if (_specContains(spec[i], id)) return true;
+            }
+            return false;
+        }
+        return !!spec && spec.target !== undefined && _specContains(spec.target, id);
+    }
+
+    /**
+     * Returns where the rendered item containing a renderable is, relative to the start of the visible area.
+     *
+     * @method getItemBounds
+     * @param {Number} id entity id of the renderable, e.g. of a Surface
+     * @return {Array.Number} [start, end] of the item in the direction of the Scroller, or null if the
+     *   renderable wasn't rendered in the last frame
+     */
+    Scroller.prototype.getItemBounds = function getItemBounds(id) {
+        for (var i = 0; i < this._renderedItems.length; i++) {
+            var item = this._renderedItems[i];
+            if (_specContains(item.spec, id)) {
+                var start = item.offset - this._position;
+                return [start, start + item.size];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * @method getClipSize
+     * @return {Number} size of the visible area in the direction of the Scroller
+     */
+    Scroller.prototype.getClipSize = function getClipSize() {
+        return _getClipSize.call(this);
+    };
+
     function _getClipSize() {
         if (this.options.clipSize !== undefined) return this.options.clipSize;
         if (this._contextSize[this.options.direction] > this.getCumulativeSize()[this.options.direction]) {
@@ -240,6 +283,7 @@ define(function(require, exports, module) {
         var size = null;
         var position = this._position;
         var result = [];
+        this._renderedItems = [];
 
         var offset = -this._positionOffset;
         var clipSize = _getClipSize.call(this);
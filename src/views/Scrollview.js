@@ -14,6 +14,7 @@ define(function(require, exports, module) {
     var Spring = require('../physics/forces/Spring');
 
     var EventHandler = require('../core/EventHandler');
+    var FocusManager = require('../core/FocusManager');
     var OptionsManager = require('../core/OptionsManager');
     var ViewSequence = require('../core/ViewSequence');
     var Scroller = require('../views/Scroller');
@@ -73,6 +74,9 @@ define(function(require, exports, module) {
      * required to trigger pagination. The lower the threshold, the easier it is to scroll continuosly.
      * @param {Number} [pageSwitchSpeed=1] The threshold for momentum-based velocity pagination.
      * @param {Number} [speedLimit=10] The highest scrolling speed you can reach.
+     * @param {Boolean} [scrollToFocus=false] When the FocusManager focuses a surface inside the Scrollview,
+     * scroll so that the item containing it is fully visible. While enabled, the FocusManager keeps a
+     * reference to the Scrollview, until it is disabled again or destroy is called.
      */
     function Scrollview(options) {
         // patch options with defaults
@@ -140,9 +144,13 @@ define(function(require, exports, module) {
         EventHandler.setOutputHandler(this, this._eventOutput);
 
         _bindEvents.call(this);
+        this._focusHandler = _handleFocus.bind(this);
+        this._listensToFocus = false;
+        this._destroyed = false;
 
         // override default options with passed-in custom options
         if (options) this.setOptions(options);
+        _updateFocusListener.call(this);
     }
 
     Scrollview.DEFAULT_OPTIONS = {
@@ -161,7 +169,8 @@ define(function(require, exports, module) {
         pageSwitchSpeed: 0.5,
         speedLimit: 5,
         groupScroll: false,
-        syncScale: 1
+        syncScale: 1,
+        scrollToFocus: false
     };
 
     function _handleStart(event) {
@@ -394,6 +403,29 @@ define(function(require, exports, module) {
         }
     }
 
+    // Listens to the FocusManager only while scrollToFocus is enabled, since it keeps a reference to its listeners
+    function _updateFocusListener() {
+        var listen = !!this.options.scrollToFocus && !this._destroyed;
+        if (listen === this._listensToFocus) return;
+        this._listensToFocus = listen;
+        if (listen) FocusManager.on('focus', this._focusHandler);
+        else FocusManager.removeListener('focus', this._focusHandler);
+    }
+
+    // Scrolls the item containing a focused surface into view
+    function _handleFocus(event) {
+        if (!this._node) return;
+        var bounds = this._scroller.getItemBounds(event.surface.id);
+        if (!bounds) return;
+        var clipSize = this._scroller.getClipSize();
+        var delta = 0;
+        if (bounds[0] < 0) delta = bounds[0];
+        else if (bounds[1] > clipSize) delta = Math.min(bounds[1] - clipSize, bounds[0]);
+        if (!delta) return;
+        this.setPosition(this.getPosition() + delta);
+        this.setVelocity(0);
+    }
+
     function _shiftOrigin(amount) {
         this._edgeSpringPosition += amount;
         this._pageSpringPosition += amount;
@@ -614,6 +646,19 @@ define(function(require, exports, module) {
                 preventDefault: this.options.preventDefault
             });
         }
+
+        if (options.scrollToFocus !== undefined && this._focusHandler) _updateFocusListener.call(this);
+    };
+
+    /**
+     * Stops listening to global events (e.g. of the FocusManager), so that the Scrollview can be garbage
+     *  collected once it is no longer used.
+     *
+     * @method destroy
+     */
+    Scrollview.prototype.destroy = function destroy() {
+        this._destroyed = true;
+        _updateFocusListener.call(this);
     };
 
     /**
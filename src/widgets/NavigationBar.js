@@ -30,19 +30,25 @@ define(function(require, exports, module) {
      * @param {String} [options.content] Content to pass into title bar.
      * @param {Array.string} [options.classes=(more)] CSS Classes attached to the More surface.
      * @param {String} [options.moreContent=(&#x271a;)] Content of the more button.
+     * @param {String} [options.backLabel=(Back)] Accessible name of the back button.
+     * @param {String} [options.moreLabel=(More)] Accessible name of the more button.
      */
     function NavigationBar(options) {
         View.apply(this, arguments);
 
         this.title = new Surface({
             classes: this.options.classes,
-            content: this.options.content
+            content: this.options.content,
+            role: 'heading',
+            aria: {level: 1}
         });
 
         this.back = new Surface({
             size: [this.options.size[1], this.options.size[1]],
             classes: this.options.classes,
-            content: this.options.backContent
+            content: this.options.backContent,
+            role: 'button',
+            aria: {label: this.options.backLabel}
         });
         this.back.on('click', function() {
             this._eventOutput.emit('back', {});
@@ -51,7 +57,9 @@ define(function(require, exports, module) {
         this.more = new Surface({
             size: [this.options.size[1], this.options.size[1]],
             classes: this.options.classes,
-            content: this.options.moreContent
+            content: this.options.moreContent,
+            role: 'button',
+            aria: {label: this.options.moreLabel}
         });
         this.more.on('click', function() {
             this._eventOutput.emit('more', {});
@@ -112,6 +120,12 @@ define(function(require, exports, module) {
             else if (key === 'moreContent') {
                 this.more.setContent(this.options.content);
             }
+            else if (key === 'backLabel') {
+                this.back.setAria({label: this.options.backLabel});
+            }
+            else if (key === 'moreLabel') {
+                this.more.setAria({label: this.options.moreLabel});
+            }
         }.bind(this));
     }
 
@@ -125,7 +139,9 @@ define(function(require, exports, module) {
         classes: ['navigation'],
         content: '',
         moreClasses: ['more'],
-        moreContent: '&#x271a;'
+        moreContent: '&#x271a;',
+        backLabel: 'Back',
+        moreLabel: 'More'
     };
 
     /**
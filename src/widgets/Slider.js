@@ -14,6 +14,7 @@ define(function(require, exports, module) {
     var EventHandler = require('../core/EventHandler');
     var Utilities = require('../math/Utilities');
     var OptionsManager = require('../core/OptionsManager');
+    var KeyCodes = require('../utilities/KeyCodes');
 
     var MouseSync = require('../inputs/MouseSync');
     var TouchSync = require('../inputs/TouchSync');
@@ -32,14 +33,18 @@ define(function(require, exports, module) {
 
         this.indicator = new CanvasSurface({
             size: this.options.indicatorSize,
-            classes : ['slider-back']
+            classes : ['slider-back'],
+            role: 'slider',
+            attributes: {tabindex: 0}
         });
 
+        /* The value is exposed by the indicator, so the label is hidden from assistive technology */
         this.label = new Surface({
             size: this.options.labelSize,
             content: this.options.label,
             properties : {pointerEvents : 'none'},
-            classes: ['slider-label']
+            classes: ['slider-label'],
+            aria: {hidden: true}
         });
 
         this.eventOutput = new EventHandler();
@@ -58,6 +63,7 @@ define(function(require, exports, module) {
         );
 
         this.indicator.pipe(this.sync);
+        this.indicator.on('keydown', _onKeyDown.bind(this));
         this.sync.pipe(this);
 
         this.eventInput.on('update', function(data) {
@@ -76,11 +82,59 @@ define(function(require, exports, module) {
         precision: 2,
         value: 0,
         label: '',
+        step: undefined,
         fillColor: 'rgba(170, 170, 170, 1)'
     };
 
     function _updateLabel() {
-        this.label.setContent(this.options.label + '<span style="float: right">' + this.get().toFixed(this.options.precision) + '</span>');
+        var value = this.get().toFixed(this.options.precision);
+        this.label.setContent(this.options.label + '<span style="float: right">' + value + '</span>');
+        this.indicator.setAria({
+            label: this.options.label || null,
+            valuemin: this.options.range[0],
+            valuemax: this.options.range[1],
+            valuenow: value
+        });
+    }
+
+    // The amount that the arrow keys change the value by, a hundredth of the range unless given by the step option
+    function _getStep() {
+        var range = this.options.range;
+        return this.options.step || (range[1] - range[0]) / 100;
+    }
+
+    // Change the value with the keyboard like a native range input: the arrow keys by a step, page up and down
+    // by ten steps, and home and end to the ends of the range
+    function _onKeyDown(event) {
+        var range = this.options.range;
+        var step = _getStep.call(this);
+        var value;
+        switch (event.keyCode) {
+            case KeyCodes.RIGHT_ARROW:
+            case KeyCodes.UP_ARROW:
+                value = this.get() + step;
+                break;
+            case KeyCodes.LEFT_ARROW:
+            case KeyCodes.DOWN_ARROW:
+                value = this.get() - step;
+                break;
+            case KeyCodes.PAGE_UP:
+                value = this.get() + 10 * step;
+                break;
+            case KeyCodes.PAGE_DOWN:
+                value = this.get() - 10 * step;
+                break;
+            case KeyCodes.HOME:
+                value = range[0];
+                break;
+            case KeyCodes.END:
+                value = range[1];
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        this.set(Utilities.clamp(value, range));
     }
 
     Slider.prototype.setOptions = function setOptions(options) {
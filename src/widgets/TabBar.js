@@ -11,11 +11,13 @@ define(function(require, exports, module) {
     var Utility = require('../utilities/Utility');
     var View = require('../core/View');
     var GridLayout = require('../views/GridLayout');
+    var Group = require('../core/Group');
     var ToggleButton = require('./ToggleButton');
 
     /**
      * A view for displaying various tabs that dispatch events
-     *  based on the id of the button that was clicked
+     *  based on the id of the button that was clicked. The tabs
+     *  are rendered inside an element with the role 'tablist'.
      *
      * @class TabBar
      * @extends View
@@ -32,7 +34,9 @@ define(function(require, exports, module) {
         this._buttonCallbacks = {};
 
         this.layout.sequenceFrom(this.buttons);
-        this._add(this.layout);
+        this.group = new Group({role: 'tablist'});
+        this.group.add(this.layout);
+        this._add(this.group);
 
         this._optionsManager.on('change', _updateOptions.bind(this));
     }
@@ -46,7 +50,8 @@ define(function(require, exports, module) {
         size: [undefined, 50],
         direction: Utility.Direction.X,
         buttons: {
-            toggleMode: ToggleButton.ON
+            toggleMode: ToggleButton.ON,
+            role: 'tab'
         }
     };
 
@@ -91,6 +96,13 @@ define(function(require, exports, module) {
         else return [1, count];
     }
 
+    // Tell assistive technology the position of every tab within the bar
+    function _updateTabPositions() {
+        for (var i = 0; i < this.buttons.length; i++) {
+            if (this.buttons[i].setAria) this.buttons[i].setAria({posinset: i + 1, setsize: this.buttons.length});
+        }
+    }
+
     /**
      * Create a new button with the specified id.  If one already exists with
      *  that id, unbind all listeners.
@@ -111,6 +123,7 @@ define(function(require, exports, module) {
             button = new widget();
             this.buttons[i] = button;
             this.layout.setOptions({dimensions: _resolveGridDimensions(this.buttons.length, this.options.direction)});
+            _updateTabPositions.call(this);
         }
         else {
             button = this.buttons[i];
@@ -21,6 +21,9 @@ define(function(require, exports, module) {
      * @constructor
      *
      * @param {object} options overrides of default options
+     * @param {string} [options.role='button'] ARIA role of the button. With the role 'tab', the state is exposed
+     *   as aria-selected, otherwise as aria-pressed.
+     * @param {string} [options.label] accessible name, for buttons whose content isn't descriptive (e.g. icons)
      */
     function ToggleButton(options) {
         this.options = {
@@ -31,7 +34,9 @@ define(function(require, exports, module) {
             outTransition: {curve: 'easeInOut', duration: 300},
             inTransition: {curve: 'easeInOut', duration: 300},
             toggleMode: ToggleButton.TOGGLE,
-            crossfade: true
+            crossfade: true,
+            role: 'button',
+            label: undefined
         };
 
         this._eventOutput = new EventHandler();
@@ -58,6 +63,18 @@ define(function(require, exports, module) {
         if (options) this.setOptions(options);
     }
 
+    // Expose the role and the selected state to assistive technology
+    function _updateAccessibility() {
+        var isTab = this.options.role === 'tab';
+        this.setAria({
+            selected: isTab ? !!this.selected : null,
+            pressed: isTab ? null : !!this.selected,
+            label: this.options.label
+        });
+        this.onSurface.setRole(this.options.role);
+        this.offSurface.setRole(this.options.role);
+    }
+
     ToggleButton.OFF = 0;
     ToggleButton.ON = 1;
     ToggleButton.TOGGLE = 2;
@@ -76,6 +93,7 @@ define(function(require, exports, module) {
         this.selected = true;
         this.arbiter.show(this.onSurface, this.options.inTransition);
 //        this.arbiter.setMode(ToggleButton.ON, this.options.inTransition);
+        _updateAccessibility.call(this);
         if (!suppressEvent) {
             this._eventOutput.emit('select');
         }
@@ -94,6 +112,7 @@ define(function(require, exports, module) {
     ToggleButton.prototype.deselect = function deselect(suppressEvent) {
         this.selected = false;
         this.arbiter.show(this.offSurface, this.options.outTransition);
+        _updateAccessibility.call(this);
         if (!suppressEvent) {
             this._eventOutput.emit('deselect');
         }
@@ -110,6 +129,18 @@ define(function(require, exports, module) {
         return this.selected;
     };
 
+    /**
+     * Set ARIA states and properties on both the 'on' and 'off' surface, see Surface.setAria
+     *
+     * @method setAria
+     *
+     * @param {object} aria dictionary of name (without 'aria-') => value
+     */
+    ToggleButton.prototype.setAria = function setAria(aria) {
+        this.onSurface.setAria(aria);
+        this.offSurface.setAria(aria);
+    };
+
     /**
      * Override the current options
      *
@@ -145,6 +176,11 @@ define(function(require, exports, module) {
             this.options.crossfade = options.crossfade;
             this.arbiter.setOptions({overlap: this.options.crossfade});
         }
+        if (options.role !== undefined || options.label !== undefined) {
+            if (options.role !== undefined) this.options.role = options.role;
+            if (options.label !== undefined) this.options.label = options.label;
+            _updateAccessibility.call(this);
+        }
     };
 
     /**